@@ -3,6 +3,22 @@
 // - connects to MongoDB
 // - exposes /search/users, /search/events, /search/dating (plain-English "q" parsing)
 // - populate=false to disable user population in events/dating (default: populate=true)
+// - populate=events,dating on /search/users embeds each user's events and datings
+// - parser=rules to use the offline rule-based parser instead of the LLM (also the
+//   automatic fallback when no LLM provider is configured or the call fails)
+// - every /search/* response carries nextCursor; send it back as "cursor" for the next page
+// - "sort" in the body (e.g. {"Salary": -1}) overrides ordering parsed from the prompt
+// - "total" is the number of matches across all pages (totalExact=false when capped)
+// - POST /search/<collection>/explain shows the translated filter and query plan, no documents
+// - POST/PATCH/DELETE /data/:collection[/:id] write documents (needs a replica set)
+// - POST /analytics answers aggregate questions ("events per city") with a validated pipeline
+// - POST /query/:collection runs a JSON filter/projection/sort directly, without the LLM
+// - /admin/keys issues, rotates and revokes scoped API keys (stored hashed in api_keys)
+// - every search (REST and MCP) is recorded in audit_log; GET /admin/audit reads it
+// - requests per minute and daily LLM calls/tokens are limited per API key (429 + Retry-After)
+// - GET /schema (and the MCP resource schema://collections) shows the introspected fields
+// - ambiguous prompts answer 409 "needs_clarification"; resend with "clarification" and "alternative"
+// - "sessionId" keeps a conversation, so follow-ups ("only those older than 30") refine it
 //
 // Run instructions:
 // 1) npm init -y
@@ -13,10 +29,45 @@
 //    MONGO_URI="mongodb://localhost:27017"
 //    DB_NAME="mydb"
 //    PORT=8000
-//    API_KEY="change_this_to_secret"
-//    ALLOW_PII=false   # set to "true" only for dev/testing to allow email/salary in responses
+//    API_KEY="change_this_to_secret"   # root key with every scope
+//    MCP_API_KEY=...   # key whose scopes apply to MCP tool calls (default: root)
+//    ALLOW_PII=false   # set to "true" only for dev/testing; gives the root key the "pii" role
+//    REDACTION_POLICIES='{"support":{"email":"mask"}}'   # extra roles, see "PII redaction"
+//    REDACTION_BAND_SIZE=25000   # width of the salary bands
+//    CURSOR_SECRET=...  # encrypts pagination cursors (defaults to API_KEY)
+//    COUNT_EXACT_LIMIT=10000   # totals above this are reported as a lower bound
+//    COUNT_SCAN_LIMIT=2000   # foreign key totals check at most this many users
+//    ON_DELETE=datings.Male_id=cascade,datings.Female_id=cascade   # see RELATIONSHIPS
 //    OPENAI_API_KEY=...
+//    # optional LLM provider settings (see "LLM providers" below):
+//    LLM_PROVIDER=openai          # "openai" (any OpenAI-compatible API) or "mock"
+//    LLM_BASE_URL=http://localhost:8080/v1   # e.g. llama.cpp / vLLM server
+//    LLM_MODEL=gpt-4o-mini
+//    LLM_TEMPERATURE=0
+//    LLM_MAX_TOKENS=1500
+//    LLM_STRUCTURED_OUTPUT=true   # "false" for servers without tool calling
+//    LLM_MOCK_FIXTURES=./fixtures/llm.json   # used when LLM_PROVIDER=mock
+//    # optional prompt->filter translation cache:
+//    TRANSLATION_CACHE_TTL_MS=3600000
+//    TRANSLATION_CACHE_MAX=500
+//    TRANSLATION_CACHE_COLLECTION=translation_cache   # persist across restarts
+//    ANALYTICS_MAX_TIME_MS=10000   # time limit for /analytics pipelines
+//    AUDIT_RETENTION_DAYS=90   # audit_log entries expire after this many days
+//    # default limits per API key (per IP for unauthenticated requests); 0 = unlimited:
+//    RATE_LIMIT_PER_MINUTE=60
+//    LLM_DAILY_CALLS=1000
+//    LLM_DAILY_TOKENS=500000
+//    RATE_LIMIT_COLLECTION=rate_limits   # share counters between instances
+//    # schema introspection (field guidance in the LLM prompts):
+//    SCHEMA_SAMPLE_SIZE=200
+//    SCHEMA_REFRESH_MS=600000
+//    # conversational search sessions ("sessionId" on /search/* and the MCP tools):
+//    SESSION_TTL_MINUTES=30   # idle sessions expire after this
+//    SESSION_MAX_TURNS=10   # earlier turns are forgotten
+//    SESSION_COLLECTION=search_sessions   # share sessions between instances
 // 5) node index.js
+//    node index.js integrity check [--fix]   # report (and quarantine) dangling references
+//    node index.js eval cases.json [--record llm.json | --replay llm.json]   # golden-set check of the translator
 //
 // Postman examples:
 // POST http://localhost:8000/search/users
@@ -28,14 +79,28 @@
 import express from "express";
 import OpenAI from "openai";
 import dotenv from "dotenv";
-import { MongoClient, ObjectId } from "mongodb";
+import { readFileSync, writeFileSync } from "fs";
+import { resolve } from "path";
+import { fileURLToPath } from "url";
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+  timingSafeEqual,
+} from "crypto";
+import { BSON, MongoClient, ObjectId } from "mongodb";
+import { z } from "zod";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
   ErrorCode,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 dotenv.config();
 
@@ -46,13 +111,49 @@ const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
 const DB_NAME = process.env.DB_NAME || "mydb";
 const PORT = Number(process.env.PORT || 8000);
 const API_KEY = process.env.API_KEY || "testkey123";
+const MCP_API_KEY = process.env.MCP_API_KEY;
 const ALLOW_PII = process.env.ALLOW_PII === "true";
+const REDACTION_BAND_SIZE = Number(process.env.REDACTION_BAND_SIZE || 25000);
+const CURSOR_SECRET = process.env.CURSOR_SECRET || API_KEY;
+const COUNT_EXACT_LIMIT = Number(process.env.COUNT_EXACT_LIMIT || 10000);
+const COUNT_SCAN_LIMIT = Number(process.env.COUNT_SCAN_LIMIT || 2000);
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+const LLM_CONFIG = {
+  provider: process.env.LLM_PROVIDER || "openai",
+  baseURL: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY || OPENAI_API_KEY,
+  model: process.env.LLM_MODEL || "gpt-4o-mini",
+  temperature: Number(process.env.LLM_TEMPERATURE || 0),
+  maxTokens: Number(process.env.LLM_MAX_TOKENS || 1500),
+  structuredOutput: process.env.LLM_STRUCTURED_OUTPUT !== "false",
+  fixtures: process.env.LLM_MOCK_FIXTURES,
+};
+// Reassigned only by `eval --record/--replay` (see "Golden-set evaluation")
+let llm = createLLMProvider(LLM_CONFIG);
+const TRANSLATION_CACHE_TTL_MS = Number(
+  process.env.TRANSLATION_CACHE_TTL_MS || 60 * 60 * 1000
+);
+const TRANSLATION_CACHE_MAX = Number(process.env.TRANSLATION_CACHE_MAX || 500);
+const TRANSLATION_CACHE_COLLECTION = process.env.TRANSLATION_CACHE_COLLECTION;
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90);
+const DEFAULT_LIMITS = {
+  perMinute: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 60),
+  dailyCalls: Number(process.env.LLM_DAILY_CALLS ?? 1000),
+  dailyTokens: Number(process.env.LLM_DAILY_TOKENS ?? 500000),
+};
+const RATE_LIMIT_COLLECTION = process.env.RATE_LIMIT_COLLECTION;
+const SCHEMA_SAMPLE_SIZE = Number(process.env.SCHEMA_SAMPLE_SIZE || 200);
+const SCHEMA_REFRESH_MS = Number(
+  process.env.SCHEMA_REFRESH_MS || 10 * 60 * 1000
+);
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_MINUTES || 30) * 60 * 1000;
+const SESSION_MAX_TURNS = Number(process.env.SESSION_MAX_TURNS || 10);
+const SESSION_COLLECTION = process.env.SESSION_COLLECTION;
 
 // SYSTEM PROMPT update
 const SYSTEM_PROMPT = `
-SYSTEM ROLE: You are an assistant whose only job is to convert a user's natural-language search prompt into a single valid JSON object that is a MongoDB query for a specific collection. RETURN ONLY A JSON OBJECT (no explanation, no extra text, no code fences). The output MUST be a syntactically valid JSON object that MongoDB accepts when parsed.
+SYSTEM ROLE: You are an assistant whose only job is to convert a user's natural-language search prompt into a single valid JSON object that is a MongoDB query for a specific collection. RETURN ONLY A JSON OBJECT (no explanation, no extra text, no code fences). The output MUST be a syntactically valid JSON object that MongoDB accepts when parsed. When the submit_query function is available, call it with that object as its arguments instead of replying with text.
 
 CRITICAL FOREIGN KEY QUERY DETECTION (HIGHEST PRIORITY - OVERRIDES ALL OTHER RULES):
 
@@ -99,6 +200,14 @@ When CollectionHint is "users" and the prompt contains patterns indicating forei
    - "users in mumbai" → { "Location": { "$regex": "mumbai", "$options": "i" } }
    - "software engineers" → { "Occupation": { "$regex": "software engineer", "$options": "i" } }
 
+5. **User Attributes Combined With Foreign Keys:**
+   - When a foreign key prompt also constrains the users themselves (gender, location, salary, age, occupation), put those user fields in "__user_filter" next to "__foreign_key_query" and "__criteria". NEVER put user fields inside "__criteria".
+   - When the prompt involves several relations, use "__relations" instead of a top-level "__foreign_key_query". Each relation is { "__foreign_key_query": ..., "__criteria": ... } and relations are combined with "$and": [...], "$or": [...] and "$not": { ... } ("never", "not", "didn't" → "$not"). "__user_filter" still goes at the top level.
+   Examples:
+   - "female users attending tech meetups in mumbai" → { "__foreign_key_query": "events", "__criteria": { "Event_type": { "$regex": "tech meetup", "$options": "i" }, "Event_location": { "$regex": "mumbai", "$options": "i" } }, "__user_filter": { "Gender": { "$regex": "^female$", "$options": "i" } } }
+   - "users who attended a Design Workshop but never went on a date in Delhi" → { "__relations": { "$and": [ { "__foreign_key_query": "events", "__criteria": { "Event_type": { "$regex": "design workshop", "$options": "i" } } }, { "$not": { "__foreign_key_query": "dating", "__criteria": { "Dating_location": { "$regex": "delhi", "$options": "i" } } } } ] } }
+   - "men in pune who attend hackathons or date in goa" → { "__relations": { "$or": [ { "__foreign_key_query": "events", "__criteria": { "Event_type": { "$regex": "hackathon", "$options": "i" } } }, { "__foreign_key_query": "dating", "__criteria": { "Dating_location": { "$regex": "goa", "$options": "i" } } } ] }, "__user_filter": { "Gender": { "$regex": "^male$", "$options": "i" }, "Location": { "$regex": "pune", "$options": "i" } } }
+
 
 // ✅ FIXED: Refined the "all" query logic to correctly handle additional filters like location.
 CRITICAL CROSS-COLLECTION & "ALL" QUERY LOGIC (HIGHEST PRIORITY - OVERRIDES EVERYTHING):
@@ -127,15 +236,8 @@ CRITICAL CROSS-COLLECTION & "ALL" QUERY LOGIC (HIGHEST PRIORITY - OVERRIDES EVER
 This logic is critical. A query like "all users in jaipur" MUST be filtered by location and not return all users.
 
 CRITICAL RULES FOR COLLECTION HINTS:
-- CollectionHint "events" → Query for "events" collection using "Event_date", "Event_location", "Event_type" fields
-- CollectionHint "dating" → Query for "datings" collection using "Dating_Date", "Dating_location", "Male_id", "Female_id" fields
-- CollectionHint "users" → Query for "users" collection using "Name", "Gender", "Location", "DOB", "Salary", "Occupation", "email" fields
-
-
-CRITICAL RULES FOR COLLECTION HINTS:
-- CollectionHint "events" → Query for "events" collection using "Event_date", "Event_location", "Event_type" fields
-- CollectionHint "dating" → Query for "datings" collection using "Dating_Date", "Dating_location", "Male_id", "Female_id" fields  
-- CollectionHint "users" → Query for "users" collection using "Name", "Gender", "Location", "DOB", "Salary", "Occupation", "email" fields
+Each CollectionHint queries one MongoDB collection and may ONLY use that collection's fields (listed values are the ones stored; match them case-insensitively):
+{{COLLECTIONS}}
 
 
 CRITICAL "ALL" QUERY RULES (HIGHEST PRIORITY):
@@ -176,23 +278,18 @@ When a user's prompt is CLEARLY about a specific collection, you MUST generate a
 
 This rule is critical to prevent irrelevant collections from returning all their documents. For example, for the prompt "all users", the filter for "events" must be { "_id": "intentionally_no_match" }, NOT {}.
 
-CRITICAL RULES FOR COLLECTION HINTS:
-- CollectionHint "events" → Query for "events" collection using "Event_date", "Event_location", "Event_type" fields
-- CollectionHint "dating" → Query for "datings" collection using "Dating_Date", "Dating_location", "Male_id", "Female_id" fields  
-- CollectionHint "users" → Query for "users" collection using "Name", "Gender", "Location", "DOB", "Salary", "Occupation", "email" fields
-
 MANDATORY: When CollectionHint is "users", ALWAYS use the correct field names for users collection:
 - Location searches → use "Location" field (NOT "Event_location" or "Dating_location")
 - Gender searches → use "Gender" field  
 - Date of birth → use "DOB" field
-- Salary searches → use "Salary" field with numeric comparisons
+- Salary searches → use "Salary" field with "$gte"/"$lt" bounds on multiples of ${REDACTION_BAND_SIZE} (salaries are searched in bands of that width)
 - Name searches → use "Name" field
 - Occupation searches → use "Occupation" field
 
 CRITICAL USER COLLECTION EXAMPLES:
 - CollectionHint "users", Prompt "male in jaipur" → { "Gender": { "$regex": "^male$", "$options": "i" }, "Location": { "$regex": "jaipur", "$options": "i" } }
-- CollectionHint "users", Prompt "female with salary above 500000" → { "Gender": { "$regex": "^female$", "$options": "i" }, "Salary": { "$gte": 500000 } }
-- CollectionHint "users", Prompt "users in bangalore with salary 600000" → { "Location": { "$regex": "bangalore", "$options": "i" }, "Salary": 600000 }
+- CollectionHint "users", Prompt "female with salary above 500000" → { "Gender": { "$regex": "^female$", "$options": "i" }, "Salary": ${salaryBandJson(500000, null)} }
+- CollectionHint "users", Prompt "users in bangalore with salary 600000" → { "Location": { "$regex": "bangalore", "$options": "i" }, "Salary": ${salaryBandJson(600000, 600001)} }
 - CollectionHint "users", Prompt "male software engineer" → { "Gender": { "$regex": "^male$", "$options": "i" }, "Occupation": { "$regex": "software engineer", "$options": "i" } }
 
 MANDATORY DATE HANDLING (applies to ALL collections):
@@ -240,12 +337,12 @@ Important global rules:
 
 1. Always use the exact field names used by the collection:
   - Events collection: use "Event_date", "Event_location", "Event_type", etc.
-  - Users collection: use "DOB" (date of birth) if the prompt references birthdate or age; other fields: "Name", "Gender", "Location", "Salary", "Occupation", "email", etc.
-  - For salary-based queries in users collection, use MongoDB comparison operators:
-    * "male with 600000 salary" → { "Gender": { "$regex": "^male$", "$options": "i" }, "Salary": 600000 }
-    * "users with salary above 500000" → { "Salary": { "$gte": 500000 } }
-    * "users with salary below 700000" → { "Salary": { "$lte": 700000 } }
-    * "users with salary between 500000 and 700000" → { "Salary": { "$gte": 500000, "$lte": 700000 } }
+  - Users collection: use "DOB" (date of birth) if the prompt references birthdate or age; otherwise the users fields listed under CRITICAL RULES FOR COLLECTION HINTS.
+  - For salary-based queries in users collection, use "$gte" (lower) and "$lt" (upper) bounds on multiples of ${REDACTION_BAND_SIZE}, rounding a lower bound down and an upper bound up; an exact salary becomes the band that holds it. Never "$gt", "$lte", "$in" or an exact number:
+    * "male with 600000 salary" → { "Gender": { "$regex": "^male$", "$options": "i" }, "Salary": ${salaryBandJson(600000, 600001)} }
+    * "users with salary above 500000" → { "Salary": ${salaryBandJson(500000, null)} }
+    * "users with salary below 700000" → { "Salary": ${salaryBandJson(null, 700000)} }
+    * "users with salary between 500000 and 700000" → { "Salary": ${salaryBandJson(500000, 700000)} }
   - Datings collection: use "Dating_Date", "Dating_location" (if present), "Male_id", "Female_id", etc.
 
 2. Text matching: ALWAYS use case-insensitive MongoDB operators for ANY text searches, including types, names, locations, etc. MANDATORY: Use "$regex" with "$options": "i" for ALL substring or partial matches in ANY text fields (e.g., Event_location, Event_type, Name, Location, etc.). NEVER use exact string matching for text fields—always partial with regex.
@@ -272,7 +369,7 @@ Important global rules:
    - For year-only (e.g., "events in 2025"): Use range from Jan 1 to Dec 31.
    - For relative expressions ("this month", "next month", "last month"): Calculate absolute dates using CurrentServerDate and use $gte/$lte ranges.
      Example: If CurrentServerDate is 2025-09-23 and prompt is "next month", use October 2025 range.
-   - Apply to all date fields: "Event_date", "Dating_Date", "DOB" uniformly.
+   - Apply to "Event_date" and "Dating_Date" uniformly; "DOB" follows the age rules in 5.
    - Handle typos in dates/months (e.g., "novemeber" -> "November", "decembre" -> "December").
 
 4. YEAR-INFERENCE RULE (when user omits the year or parts):
@@ -287,11 +384,12 @@ Important global rules:
 
 5. Age / DOB conversions:
    - For age (e.g., "aged 25 to 30"): Convert to DOB ranges using CurrentServerDate. Age 25 means DOB <= CurrentServerDate - 25 years, > CurrentServerDate - 26 years (for lower bound).
-     Use $gte/$lt with $dateFromString for the calculated ISO dates. Calculate precisely: for min age A, DOB <= current - A years; for max age B, DOB > current - (B+1) years.
+     Use $lte/$gt with $dateFromString for the calculated ISO dates. Calculate precisely: for min age A, DOB <= current - A years; for max age B, DOB > current - (B+1) years.
      Example (assume CurrentServerDate 2025-09-23): for ages 25-30, { "DOB": { "$lte": { "$dateFromString": { "dateString": "2000-09-23T00:00:00Z" } }, "$gt": { "$dateFromString": { "dateString": "1994-09-23T00:00:00Z" } } } } (adjust dates based on calc).
-   - For "born in [YEAR]" (e.g., "born in 1995"): Create a date range for the entire year on the DOB field. For 1995, this would be from "1995-01-01T00:00:00Z" to "1995-12-31T23:59:59Z".
-   - For "born in December" (no year): Use range for December of inferred year.
-   - For "born in December 1990": Use month range with year.
+   - DOB is only searched by whole years of age, so every DOB condition is an age range as above: "$lte"/"$gt" on CurrentServerDate's month and day in an earlier year, never "$gte"/"$lt" or another day.
+   - For "born in [YEAR]" (e.g., "born in 1995"): Use the ages people born that year have on CurrentServerDate, from (current year - YEAR - 1) to (current year - YEAR). For 1995 with CurrentServerDate 2025-09-23 that is ages 29 to 30.
+   - For "born in December 1990": Use the ages people born that month have on CurrentServerDate, the same way.
+   - For "born in December" (no year): Ignore the month; it cannot be searched.
 
 6. Location vs. Time distinction (CRITICAL):
    - If the query contains "in [X]", determine if X is a time indicator (month, year, day, "next week", etc.) or a location (city, state, country).
@@ -302,7 +400,7 @@ Important global rules:
 
 7. Tolerant parsing and YEAR-INFERENCE:
   - Handle typos, abbreviations (e.g., "Dec", "1st", "first", "oct", "novemeber"→November), ordinals, formats (DD/MM/YYYY, MM/DD/YYYY—assume DD/MM if ambiguous, use context).
-  - For ambiguity (e.g., "March" could be past/future), use YEAR-INFERENCE; if still ambiguous, return {"__ambiguous": true, "alternatives": [ {...}, {...} ] }.
+  - For ambiguity (e.g., "March" could be past/future), use YEAR-INFERENCE; if still ambiguous, return {"__ambiguous": true, "alternatives": [ { "description": "<short human-readable reading, e.g. March 2026>", "query": {...} }, ... ] } with 2 to 5 alternatives, each "query" being a complete query as described above (it may have its own "__sort").
   - For month-only queries (e.g., "events in August"), ALWAYS use the current year from CurrentServerDate unless the user specifies a year. Do NOT use a future year unless explicitly requested.
 
 8. Output rules (CRITICAL):
@@ -325,8 +423,8 @@ Additional Examples (follow these patterns strictly):
   Output: { "Event_type": { "$regex": "startup pitch", "$options": "i" }, "Event_location": { "$regex": "delhi", "$options": "i" }, "Event_date": { "$gte": { "$dateFromString": { "dateString": "2025-11-01T00:00:00Z", "timezone": "UTC" } }, "$lte": { "$dateFromString": { "dateString": "2025-11-30T23:59:59Z", "timezone": "UTC" } } } }
 - Prompt: "male in jaipur"
   Output: { "Gender": { "$regex": "^male$", "$options": "i" }, "Location": { "$regex": "jaipur", "$options": "i" } }
-- Prompt: "male born in 1995"
-  Output: { "Gender": { "$regex": "^male$", "$options": "i" }, "DOB": { "$gte": { "$dateFromString": { "dateString": "1995-01-01T00:00:00Z", "timezone": "UTC" } }, "$lte": { "$dateFromString": { "dateString": "1995-12-31T23:59:59Z", "timezone": "UTC" } } } }
+- Prompt: "male born in 1995" (CurrentServerDate 2025-09-23)
+  Output: { "Gender": { "$regex": "^male$", "$options": "i" }, "DOB": { "$lte": { "$dateFromString": { "dateString": "1996-09-23T00:00:00Z", "timezone": "UTC" } }, "$gt": { "$dateFromString": { "dateString": "1994-09-23T00:00:00Z", "timezone": "UTC" } } } }
 - Prompt: "female users aged 25 in jaipur"
   Output: { "Gender": { "$regex": "^female$", "$options": "i" }, "DOB": { "$lte": { "$dateFromString": { "dateString": "2000-09-23T00:00:00Z" } }, "$gt": { "$dateFromString": { "dateString": "1999-09-23T00:00:00Z" } } }, "Location": { "$regex": "jaipur", "$options": "i" } }
 - Prompt: "datings in june"
@@ -382,20 +480,305 @@ ADDITIONAL CROSS-COLLECTION EXAMPLE (FOLLOW STRICTLY):
   - CollectionHint: "users"  → {}
   - CollectionHint: "events" → { "_id": "intentionally_no_match" }
   - CollectionHint: "dating" → { "_id": "intentionally_no_match" }
+
+SORTING (OPTIONAL "__sort" KEY):
+- When the prompt asks for an ordering (newest, latest, oldest, earliest, upcoming, highest paid, lowest salary, youngest, alphabetical, ...), add a top-level "__sort" key next to the filter fields.
+- "__sort" maps field names of the SAME collection to 1 (ascending) or -1 (descending). Use at most 3 fields. Omit "__sort" when no ordering is requested.
+- For foreign key queries, "__sort" sorts the returned users and goes at the top level, NEVER inside "__criteria".
+- "upcoming" means dates from CurrentServerDate onwards, sorted ascending.
+- Examples:
+  * CollectionHint "events", Prompt "newest events in mumbai" → { "Event_location": { "$regex": "mumbai", "$options": "i" }, "__sort": { "Event_date": -1 } }
+  * CollectionHint "users", Prompt "highest paid designers" → { "Occupation": { "$regex": "designer", "$options": "i" }, "__sort": { "Salary": -1 } }
+  * CollectionHint "dating", Prompt "upcoming datings" (CurrentServerDate 2025-09-23) → { "Dating_Date": { "$gte": { "$dateFromString": { "dateString": "2025-09-23T00:00:00Z", "timezone": "UTC" } } }, "__sort": { "Dating_Date": 1 } }
+  * CollectionHint "users", Prompt "youngest users attending tech meetups" → { "__foreign_key_query": "events", "__criteria": { "Event_type": { "$regex": "tech meetup", "$options": "i" } }, "__sort": { "DOB": -1 } }
+
+CONVERSATION FOLLOW-UPS (only when the message has "PreviousTurns"):
+- PreviousTurns lists the earlier prompts of the same conversation, oldest first, with the filter each collection used, "ids" (the _ids of the results shown) and "refs" (the user ids those results reference).
+- If the Prompt stands on its own, ignore PreviousTurns.
+- Refine or narrow ("only those older than 30", "and in pune", "sort them by salary"): start from the most recent filter for the SAME CollectionHint and add or replace conditions, keeping its "__foreign_key_query" / "__criteria" / "__user_filter" structure.
+- Pivot ("which events do they attend?", "who goes to these events?") using the ids of the most recent turn, copied exactly as strings:
+  * users → events: { "participant_ids": { "$in": [<users ids>] } }
+  * users → dating: { "$or": [ { "Male_id": { "$in": [<users ids>] } }, { "Female_id": { "$in": [<users ids>] } } ] }
+  * events or dating → users: { "_id": { "$in": [<users refs>] } }
+  The other CollectionHints follow the cross-collection rules above.
+- Example: the previous users filter was { "Gender": { "$regex": "^female$", "$options": "i" }, "Occupation": { "$regex": "designer", "$options": "i" }, "Location": { "$regex": "bengaluru", "$options": "i" } } and the Prompt is "only those older than 30" (CurrentServerDate 2025-09-23) → { "Gender": { "$regex": "^female$", "$options": "i" }, "Occupation": { "$regex": "designer", "$options": "i" }, "Location": { "$regex": "bengaluru", "$options": "i" }, "DOB": { "$lte": { "$dateFromString": { "dateString": "1994-09-23T00:00:00Z", "timezone": "UTC" } } } }.
+`;
+
+// Prompt for POST /analytics and the analyze MCP tool; see "Analytics".
+const ANALYTICS_PROMPT = `
+You are an expert MongoDB analyst. Convert the user's question into ONE aggregation pipeline and return a JSON object { "collection": "...", "pipeline": [ ... ] }. Return ONLY the JSON object, with no explanations.
+
+Collections ("collection" uses the name on the left) and their fields:
+{{COLLECTIONS}}
+
+Allowed stages, in any order, at most 10:
+- { "$match": filter } with the operators $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $all, $regex, $options, $exists, $size, $not, $elemMatch, $and, $or, $nor. Dates use { "$dateFromString": { "dateString": "<ISO date>", "timezone": "UTC" } }.
+- { "$group": { "_id": null | "$field" | { "name": "$field" or date part, ... }, "<output>": accumulator, ... } }
+  Accumulators: $sum, $avg, $min, $max, $first, $last, $addToSet with 1, "$field" or { "$size": "$arrayField" }; or { "$count": {} }.
+  Date parts: { "$year": "$dateField" }, { "$month": ... }, { "$dayOfMonth": ... }, { "$dayOfWeek": ... }.
+- { "$sort": { "field": 1 | -1 } } on fields available at that point (after $group: "_id", "_id.<name>" and the outputs).
+- { "$limit": n }
+- { "$unwind": "$arrayField" }
+- { "$lookup": { "from": "<MongoDB collection>", "localField": ..., "foreignField": ..., "as": "<name>" } } ONLY along these relations, before any $group:
+  * from events: { "from": "users", "localField": "participant_ids", "foreignField": "_id" }
+  * from dating: { "from": "users", "localField": "Male_id" or "Female_id", "foreignField": "_id" }
+  * from users: { "from": "events", "localField": "_id", "foreignField": "participant_ids" } or { "from": "datings", "localField": "_id", "foreignField": "Male_id" or "Female_id" }
+  Looked-up fields are then available as "<name>.<field>".
+NEVER use other stages ($out, $merge, $function, $where, $expr, ...) and never reference email.
+Resolve relative dates with CurrentServerDate, as for searches.
+
+Examples (CurrentServerDate 2025-09-23):
+- "how many events per city in November" → { "collection": "events", "pipeline": [ { "$match": { "Event_date": { "$gte": { "$dateFromString": { "dateString": "2025-11-01T00:00:00Z", "timezone": "UTC" } }, "$lte": { "$dateFromString": { "dateString": "2025-11-30T23:59:59Z", "timezone": "UTC" } } } } }, { "$group": { "_id": "$Event_location", "events": { "$sum": 1 } } }, { "$sort": { "events": -1 } } ] }
+- "average salary of female software engineers by location" → { "collection": "users", "pipeline": [ { "$match": { "Gender": { "$regex": "^female$", "$options": "i" }, "Occupation": { "$regex": "software engineer", "$options": "i" } } }, { "$group": { "_id": "$Location", "averageSalary": { "$avg": "$Salary" }, "users": { "$sum": 1 } } }, { "$sort": { "averageSalary": -1 } } ] }
+- "top 5 most attended event types" → { "collection": "events", "pipeline": [ { "$group": { "_id": "$Event_type", "attendees": { "$sum": { "$size": "$participant_ids" } } } }, { "$sort": { "attendees": -1 } }, { "$limit": 5 } ] }
+- "women attending each event type" → { "collection": "events", "pipeline": [ { "$lookup": { "from": "users", "localField": "participant_ids", "foreignField": "_id", "as": "participants" } }, { "$unwind": "$participants" }, { "$match": { "participants.Gender": { "$regex": "^female$", "$options": "i" } } }, { "$group": { "_id": "$Event_type", "women": { "$sum": 1 } } }, { "$sort": { "women": -1 } } ] }
 `;
 
-// ----- simple API key middleware -----
-app.use((req, res, next) => {
+// ----- API keys -----
+// Clients authenticate with "Authorization: Bearer <key>". Keys live in the
+// api_keys collection as SHA-256 hashes with their scopes:
+//   { collections: ["users", "events", "dating"], role, write, mcp, admin }
+// plus expiresAt, revoked and optional limits (see "Rate limits"); role names
+// a redaction policy (see "PII redaction"). The env API_KEY stays valid as a root key with every scope
+// (role "pii" with ALLOW_PII). The caller's identity { id, name, scopes }
+// is on req.apiKey and, for code below the routes and in MCP tool calls, in
+// requestContext.
+const API_KEYS_COLLECTION = "api_keys";
+const requestContext = new AsyncLocalStorage();
+
+const ROOT_API_KEY = {
+  id: "env",
+  name: "API_KEY",
+  limits: DEFAULT_LIMITS,
+  scopes: {
+    collections: ["users", "events", "dating"],
+    role: ALLOW_PII ? "pii" : "default",
+    write: true,
+    mcp: true,
+    admin: true,
+  },
+};
+
+function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+function generateApiKey() {
+  return `mk_${randomBytes(24).toString("base64url")}`;
+}
+
+function normalizeScopes(scopes = {}) {
+  if (!isPlainObject(scopes))
+    throw new RequestError("scopes must be an object");
+  const collections = scopes.collections ?? Object.keys(COLLECTION_BY_TYPE);
+  if (
+    !Array.isArray(collections) ||
+    collections.some((type) => !COLLECTION_BY_TYPE[type])
+  ) {
+    throw new RequestError(
+      "scopes.collections must list users, events and/or dating"
+    );
+  }
+  // { pii: true } is shorthand for the unredacted "pii" role
+  const role = scopes.role ?? (scopes.pii === true ? "pii" : "default");
+  if (!Object.hasOwn(REDACTION_POLICIES, role)) {
+    throw new RequestError(
+      `scopes.role must be one of ${Object.keys(REDACTION_POLICIES).join(", ")}`
+    );
+  }
+  return {
+    collections: Array.from(new Set(collections)),
+    role,
+    write: scopes.write === true,
+    mcp: scopes.mcp === true,
+    admin: scopes.admin === true,
+  };
+}
+
+function toIdentity(doc) {
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    scopes: doc.scopes,
+    limits: { ...DEFAULT_LIMITS, ...doc.limits },
+  };
+}
+
+// Resolves a presented key to an identity, or null when it is unknown,
+// revoked or expired.
+async function authenticateApiKey(token) {
+  if (!token) return null;
+  const presented = Buffer.from(hashApiKey(token));
+  if (timingSafeEqual(presented, Buffer.from(hashApiKey(API_KEY))))
+    return ROOT_API_KEY;
+  const doc = await db
+    .collection(API_KEYS_COLLECTION)
+    .findOne({ hash: hashApiKey(token) });
+  if (!doc || doc.revoked) return null;
+  if (doc.expiresAt && doc.expiresAt <= new Date()) return null;
+  return toIdentity(doc);
+}
+
+// The identity of the current request or MCP call (root outside of both,
+// e.g. for the CLI).
+function currentApiKey() {
+  return (requestContext.getStore() || {}).apiKey || ROOT_API_KEY;
+}
+
+function requireScope(scope) {
+  if (!currentApiKey().scopes[scope])
+    throw new RequestError(`API key lacks the "${scope}" scope`, 403);
+}
+
+function requireCollection(type) {
+  if (!currentApiKey().scopes.collections.includes(type))
+    throw new RequestError(`API key may not access ${type}`, 403);
+}
+
+function mayAccessCollection(type) {
+  return currentApiKey().scopes.collections.includes(type);
+}
+
+// Collection hint for a MongoDB collection name, e.g. "datings" -> "dating".
+function collectionType(collection) {
+  return Object.keys(COLLECTION_BY_TYPE).find(
+    (type) => COLLECTION_BY_TYPE[type] === collection
+  );
+}
+
+// A users foreign key filter also reads the related collections.
+function requireFilterCollections(filter, type) {
+  requireCollection(type);
+  if (type !== "users" || !isForeignKeyFilter(filter)) return;
+  const { __user_filter, __relations, ...relation } = filter;
+  for (const term of relationTerms(__relations ?? relation))
+    requireCollection(term.__foreign_key_query);
+}
+
+function parseExpiry(expiresAt) {
+  if (expiresAt == null) return null;
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()))
+    throw new RequestError("expiresAt must be a date");
+  return date;
+}
+
+async function issueApiKey({ name, scopes, expiresAt, limits } = {}) {
+  if (typeof name !== "string" || !name.trim())
+    throw new RequestError("name is required");
+  const key = generateApiKey();
+  const doc = {
+    name: name.trim(),
+    hash: hashApiKey(key),
+    prefix: key.slice(0, 10),
+    scopes: normalizeScopes(scopes),
+    limits: normalizeLimits(limits),
+    expiresAt: parseExpiry(expiresAt),
+    revoked: false,
+    createdAt: new Date(),
+  };
+  const { insertedId } = await db
+    .collection(API_KEYS_COLLECTION)
+    .insertOne(doc);
+  return { ...publicApiKey({ ...doc, _id: insertedId }), key };
+}
+
+// Replaces the secret of a key; the old one stops working immediately.
+async function rotateApiKey(id) {
+  const key = generateApiKey();
+  const doc = await db.collection(API_KEYS_COLLECTION).findOneAndUpdate(
+    { _id: parseDocumentId(id), revoked: false },
+    {
+      $set: {
+        hash: hashApiKey(key),
+        prefix: key.slice(0, 10),
+        rotatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!doc) throw new RequestError(`No active API key with id ${id}`, 404);
+  return { ...publicApiKey(doc), key };
+}
+
+async function revokeApiKey(id) {
+  const doc = await db
+    .collection(API_KEYS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: parseDocumentId(id) },
+      { $set: { revoked: true, revokedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+  if (!doc) throw new RequestError(`No API key with id ${id}`, 404);
+  return publicApiKey(doc);
+}
+
+function publicApiKey(doc) {
+  const { hash, ...rest } = doc;
+  return rest;
+}
+
+// MCP has no per-call credentials; tool calls run as MCP_API_KEY (looked up
+// on every call so revocation applies immediately) or as root when unset.
+async function mcpApiKey() {
+  const apiKey = MCP_API_KEY
+    ? await authenticateApiKey(MCP_API_KEY)
+    : ROOT_API_KEY;
+  if (!apiKey)
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      "MCP_API_KEY is unknown, revoked or expired"
+    );
+  if (!apiKey.scopes.mcp)
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      'API key lacks the "mcp" scope'
+    );
+  return apiKey;
+}
+
+app.use(async (req, res, next) => {
   // allow health check
   if (req.path === "/health") return next();
   const auth = req.header("Authorization") || "";
   const token = auth.replace(/^Bearer\s+/i, "");
-  if (!token || token !== API_KEY) {
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(token);
+  } catch (err) {
+    console.error("API key lookup error", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+  try {
+    const rate = await checkRateLimit(
+      apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`,
+      (apiKey || ROOT_API_KEY).limits.perMinute
+    );
+    if (rate) res.set(rateLimitHeaders(rate));
+    if (rate && rate.limited) {
+      const err = rateLimitError("Too many requests", rate.resetAt);
+      res.set("Retry-After", String(err.retryAfter));
+      return res.status(err.status).json(err.toResponse());
+    }
+  } catch (err) {
+    console.error("Rate limit error", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+  if (!apiKey) {
     return res
       .status(401)
       .json({ error: "Unauthorized. Set Authorization: Bearer <API_KEY>" });
   }
-  next();
+  req.apiKey = apiKey;
+  requestContext.run(
+    {
+      apiKey,
+      source: "rest",
+      startedAt: Date.now(),
+      setHeaders: (headers) => res.set(headers),
+    },
+    next
+  );
 });
 
 // ----- utilities -----
@@ -415,465 +798,4935 @@ function convertDateFromString(obj) {
   }
   return obj;
 }
-function hideSensitive(doc) {
-  if (!ALLOW_PII) {
-    const { email, ...rest } = doc;
-    return rest;
+// Errors caused by the caller's input. Routes answer them with `status` and
+// toResponse(); MCP tools turn them into InvalidParams errors.
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+  }
+
+  toResponse() {
+    return { error: this.message };
   }
-  return doc;
 }
 
-// ----- Dynamic prompt-to-query parser -----
-// index.js
+// ----- PII redaction -----
+// Every users document leaving the server goes through hideSensitive, which
+// applies the caller's role policy. A policy maps users fields to one of:
+//   drop  remove the field (also excluded from the MongoDB projection)
+//   mask  keep the first character, e.g. jane@x.com -> j***@x.com
+//   band  replace a number with its REDACTION_BAND_SIZE band, e.g. "50000-74999"
+//   age   replace a date with "age", in whole years
+// Fields a policy doesn't mention are returned as stored. REDACTION_POLICIES
+// (JSON) adds roles or replaces the built-in ones.
+const REDACTION_ACTIONS = ["drop", "mask", "band", "age"];
+const REDACTION_POLICIES = {
+  default: { email: "drop", Salary: "band", DOB: "age" },
+  pii: {},
+};
 
-// ----- Foreign Key Query Processor -----
-async function processForeignKeyQuery(foreignKeyQuery, criteria, limit = 10) {
+function applyRedactionPolicies(spec) {
+  if (!spec) return;
+  let policies;
   try {
-    const l = Math.min(Number(limit) || 10, 100);
-
-    if (foreignKeyQuery === "events") {
-      // Find matching events first
-      const convertedCriteria = convertDateFromString(criteria);
-      const events = await db
-        .collection("events")
-        .find(convertedCriteria)
-        .toArray();
-
-      if (events.length === 0) {
-        return { count: 0, results: [] };
+    policies = JSON.parse(spec);
+  } catch {
+    throw new Error("REDACTION_POLICIES must be JSON");
+  }
+  if (!isPlainObject(policies))
+    throw new Error("REDACTION_POLICIES must map roles to policies");
+  for (const [role, policy] of Object.entries(policies)) {
+    if (!isPlainObject(policy))
+      throw new Error(`REDACTION_POLICIES: "${role}" must be an object`);
+    for (const [field, action] of Object.entries(policy)) {
+      if (!REDACTION_ACTIONS.includes(action)) {
+        throw new Error(
+          `REDACTION_POLICIES: ${role}.${field} accepts ${REDACTION_ACTIONS.join(", ")}, not "${action}"`
+        );
       }
+    }
+    REDACTION_POLICIES[role] = policy;
+  }
+}
 
-      // Extract all participant_ids from matching events
-      const userIds = Array.from(
-        new Set(
-          events.flatMap((event) =>
-            (event.participant_ids || []).map((id) => id.toString())
-          )
-        )
-      ).map((s) => new ObjectId(s));
+applyRedactionPolicies(process.env.REDACTION_POLICIES);
 
-      if (userIds.length === 0) {
-        return { count: 0, results: [] };
-      }
+// The policy of the current caller's role (see currentApiKey).
+function redactionPolicy() {
+  const { role = "default" } = currentApiKey().scopes;
+  return REDACTION_POLICIES[role] || REDACTION_POLICIES.default;
+}
 
-      // Find users by IDs
-      const projection = ALLOW_PII ? {} : { email: 0 };
-      const users = await db
-        .collection("users")
-        .find({ _id: { $in: userIds } }, { projection })
-        .limit(l)
-        .toArray();
+// Users fields the current caller may not see at all.
+function droppedFields() {
+  return Object.entries(redactionPolicy())
+    .filter(([, action]) => action === "drop")
+    .map(([field]) => field);
+}
 
-      const safe = users.map(hideSensitive);
-      return { count: safe.length, results: safe };
-    } else if (foreignKeyQuery === "dating") {
-      // Find matching dating records first
-      const convertedCriteria = convertDateFromString(criteria);
-      const datings = await db
-        .collection("datings")
-        .find(convertedCriteria)
-        .toArray();
+// Projection excluding the dropped users fields, e.g. { email: 0 }.
+function redactionProjection() {
+  return Object.fromEntries(droppedFields().map((field) => [field, 0]));
+}
 
-      if (datings.length === 0) {
-        return { count: 0, results: [] };
-      }
+function maskValue(value) {
+  const text = String(value);
+  const at = text.indexOf("@");
+  if (at > 0) return `${text[0]}***${text.slice(at)}`;
+  return text ? `${text[0]}***` : text;
+}
 
-      // Extract all Male_id and Female_id from matching dating records
-      const userIds = Array.from(
-        new Set(
-          datings.flatMap((dating) =>
-            [dating.Male_id, dating.Female_id]
-              .filter(Boolean)
-              .map((id) => id.toString())
-          )
-        )
-      ).map((s) => new ObjectId(s));
+function bandValue(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const low = Math.floor(n / REDACTION_BAND_SIZE) * REDACTION_BAND_SIZE;
+  return `${low}-${low + REDACTION_BAND_SIZE - 1}`;
+}
 
-      if (userIds.length === 0) {
-        return { count: 0, results: [] };
-      }
+// The whole bands covering min <= value < max (either bound may be null) as
+// { $gte, $lt }, the only salary filter a "band" caller may send (see
+// validateRedactedCondition).
+function salaryBand(min, max) {
+  const size = REDACTION_BAND_SIZE;
+  const band = {};
+  if (min != null) band.$gte = Math.floor(min / size) * size;
+  if (max != null) band.$lt = Math.ceil(max / size) * size;
+  return band;
+}
 
-      // Find users by IDs
-      const projection = ALLOW_PII ? {} : { email: 0 };
-      const users = await db
-        .collection("users")
-        .find({ _id: { $in: userIds } }, { projection })
-        .limit(l)
-        .toArray();
+// salaryBand as the JSON text of the SYSTEM_PROMPT examples.
+function salaryBandJson(min, max) {
+  const parts = Object.entries(salaryBand(min, max)).map(
+    ([op, value]) => `"${op}": ${value}`
+  );
+  return `{ ${parts.join(", ")} }`;
+}
 
-      const safe = users.map(hideSensitive);
-      return { count: safe.length, results: safe };
-    }
+function ageValue(value, now = new Date()) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  let age = now.getUTCFullYear() - date.getUTCFullYear();
+  const birthday = Date.UTC(
+    now.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate()
+  );
+  if (now.getTime() < birthday) age -= 1;
+  return age;
+}
 
-    // Unknown foreign key query type
-    return { count: 0, results: [] };
-  } catch (err) {
-    console.error("Foreign key query processing error:", err);
-    return { count: 0, results: [] };
+const REDACTORS = { mask: maskValue, band: bandValue };
+
+// Returns a copy of a users document redacted for the current caller.
+function hideSensitive(doc) {
+  if (!isPlainObject(doc)) return doc;
+  const out = { ...doc };
+  for (const [field, action] of Object.entries(redactionPolicy())) {
+    if (!(field in out)) continue;
+    if (action === "drop") delete out[field];
+    else if (action === "age") {
+      out.age = out[field] != null ? ageValue(out[field]) : null;
+      delete out[field];
+    } else if (out[field] != null) out[field] = REDACTORS[action](out[field]);
   }
+  return out;
 }
 
-// ----- Dynamic prompt-to-query parser -----
-async function parsePromptToMongoQuery(prompt, type) {
-  if (!openai || !prompt)
-    return { _id: "intentionally_no_match_on_empty_prompt" }; // Return no-match for empty prompt
-  const currentServerDate = new Date().toISOString();
-  const systemMsg = SYSTEM_PROMPT;
-  const userMsg = `CurrentServerDate: ${currentServerDate}
-CollectionHint: ${type}
-Prompt: ${prompt}`;
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemMsg },
-        { role: "user", content: userMsg },
-      ],
-      temperature: 0.0,
-      max_tokens: 1500,
-    });
-    const text = completion.choices[0].message.content.trim();
-    console.log(
-      `[DEBUG] OpenAI response for ${type} collection with prompt "${prompt}":`,
-      text
-    );
+// ----- Audit log -----
+// One audit_log document per search, /query and /analytics call, written by
+// findSearchPage and runAnalytics from REST and MCP alike:
+//   { at, caller: { id, name, role }, source: "rest" | "mcp", collection,
+//     prompt, filter, sort, foreignKey, parser, cacheHit, count, total,
+//     latencyMs, usage }
+// filter is stored as JSON text because its operator keys can't be stored
+// as-is; usage is the LLM's token usage (null when it wasn't called).
+// Entries expire after AUDIT_RETENTION_DAYS.
+const AUDIT_COLLECTION = "audit_log";
+const MAX_AUDIT_LIMIT = 1000;
 
-    try {
-      // ✅ FIXED: Handle empty response from AI
-      if (!text) {
-        console.log(
-          `[DEBUG] AI returned empty response for ${type}, returning no-match query.`
-        );
-        return { _id: "intentionally_no_match_on_empty_response" };
-      }
-      const parsed = JSON.parse(text);
-      console.log(
-        `[DEBUG] Parsed query for ${type}:`,
-        JSON.stringify(parsed, null, 2)
-      );
-      return parsed;
-    } catch {
-      console.log(
-        `[DEBUG] Failed to parse query for ${type}, returning no-match query`
-      );
-      // ✅ FIXED: Return a query that finds no documents on JSON parse error
-      return { _id: "intentionally_no_match_on_parse_error" };
-    }
+async function attachAuditLog(database) {
+  const expireAfterSeconds = Math.round(AUDIT_RETENTION_DAYS * 24 * 60 * 60);
+  try {
+    await database
+      .collection(AUDIT_COLLECTION)
+      .createIndex({ at: 1 }, { expireAfterSeconds });
   } catch (err) {
-    console.error("NLP parse error:", err);
-    // ✅ FIXED: Return a query that finds no documents on API error
-    return { _id: "intentionally_no_match_on_api_error" };
+    // IndexOptionsConflict: the retention changed since the index was built
+    if (err.code !== 85) throw err;
+    await database.command({
+      collMod: AUDIT_COLLECTION,
+      index: { keyPattern: { at: 1 }, expireAfterSeconds },
+    });
   }
+  await database
+    .collection(AUDIT_COLLECTION)
+    .createIndex({ "caller.id": 1, at: -1 });
 }
 
-// ----- MongoDB connection & server start -----
-let db;
-let client;
-
-async function startServer() {
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  db = client.db(DB_NAME);
-  console.log("Connected to MongoDB:", MONGO_URI, " DB:", DB_NAME);
+// Adds caller, source and latency from requestContext and writes the entry
+// without holding up the response; failures are only logged.
+function recordAudit(entry) {
+  if (!db) return;
+  const store = requestContext.getStore() || {};
+  const { id, name, scopes } = currentApiKey();
+  db.collection(AUDIT_COLLECTION)
+    .insertOne({
+      at: new Date(),
+      caller: { id, name, role: scopes.role },
+      source: store.source || "cli",
+      ...entry,
+      filter: entry.filter === undefined ? null : JSON.stringify(entry.filter),
+      latencyMs: store.startedAt ? Date.now() - store.startedAt : null,
+    })
+    .catch((err) => console.error("Audit log write error:", err));
+}
 
-  // Initialize MCP Server
-  setupMCPServer();
+// Query for GET /admin/audit: caller matches a key id or name, from/to bound
+// the time range. Newest first.
+async function findAuditEntries({ caller, from, to, limit } = {}) {
+  const query = {};
+  if (caller) {
+    const who = String(caller);
+    query.$or = [{ "caller.id": who }, { "caller.name": who }];
+  }
+  for (const [key, op, value] of [
+    ["from", "$gte", from],
+    ["to", "$lte", to],
+  ]) {
+    if (value == null) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime()))
+      throw new RequestError(`${key} must be a date`);
+    query.at = { ...query.at, [op]: date };
+  }
+  const entries = await db
+    .collection(AUDIT_COLLECTION)
+    .find(query)
+    .sort({ at: -1 })
+    .limit(parseLimit(limit, MAX_AUDIT_LIMIT, 100))
+    .toArray();
+  return entries.map((entry) => ({
+    ...entry,
+    filter: entry.filter == null ? null : JSON.parse(entry.filter),
+  }));
+}
 
-  // ---- Express endpoints ----
+// ----- LLM providers -----
+// A provider is { name, model, complete({ system, user, prompt, type, tool,
+// retry }) } and resolves to { text, usage }. With a `tool` (a function
+// definition) the reply is requested as that function's arguments when the
+// provider supports it; `retry` is an extra user message asking to correct
+// an invalid reply. createLLMProvider returns null when nothing is
+// configured, which makes parsePromptToMongoQuery use the rule-based parser.
+function normalizePrompt(prompt) {
+  return String(prompt || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  // Health
-  app.get("/health", (req, res) => res.json({ ok: true }));
+function createOpenAIProvider(config) {
+  // Local OpenAI-compatible servers usually ignore the key, but the SDK
+  // refuses to start without one.
+  const client = new OpenAI({
+    apiKey: config.apiKey || "not-needed",
+    ...(config.baseURL ? { baseURL: config.baseURL } : {}),
+  });
+  return {
+    name: config.baseURL ? `openai-compatible(${config.baseURL})` : "openai",
+    model: config.model,
+    async complete({ system, user, tool, retry }) {
+      const structured = tool && config.structuredOutput;
+      const completion = await client.chat.completions.create({
+        model: config.model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+          ...(retry ? [{ role: "user", content: retry }] : []),
+        ],
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+        ...(structured
+          ? {
+              tools: [{ type: "function", function: tool }],
+              tool_choice: { type: "function", function: { name: tool.name } },
+            }
+          : {}),
+      });
+      const message = completion.choices[0].message;
+      const call = (message.tool_calls || [])[0];
+      return {
+        text: (call ? call.function.arguments : message.content || "").trim(),
+        usage: completion.usage || null,
+      };
+    },
+  };
+}
 
-  // SEARCH USERS: body { q: string, limit?: number }
-  app.post("/search/users", async (req, res) => {
-    console.log("[DEBUG] /search/users endpoint called with body:", req.body);
-    try {
-      const { q = "", limit = 10 } = req.body || {};
-      const l = Math.min(Number(limit) || 10, 100);
-      let filter = await parsePromptToMongoQuery(q, "users");
+// Replays canned responses from a JSON file of
+// [{ "prompt": "...", "collection": "users", "response": {...} | "..." }].
+// "collection" is optional and matches any hint when omitted. An optional
+// "retryResponse" answers the correction request after an invalid response.
+// Prompts without a fixture throw, just like a failed API call would.
+function createMockProvider(config) {
+  const fixtures = config.fixtures
+    ? JSON.parse(readFileSync(config.fixtures, "utf8"))
+    : [];
+  if (!Array.isArray(fixtures)) {
+    throw new Error(
+      `LLM mock fixtures must be a JSON array: ${config.fixtures}`
+    );
+  }
+  return {
+    name: "mock",
+    model: "mock",
+    async complete({ prompt, type, retry }) {
+      const key = normalizePrompt(prompt);
+      const fixture = fixtures.find(
+        (f) =>
+          normalizePrompt(f.prompt) === key &&
+          (!f.collection || f.collection === type)
+      );
+      if (!fixture) {
+        throw new Error(`No mock fixture for ${type} prompt "${prompt}"`);
+      }
+      const response =
+        retry && "retryResponse" in fixture
+          ? fixture.retryResponse
+          : fixture.response;
+      const text =
+        typeof response === "string" ? response : JSON.stringify(response);
+      return {
+        text,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    },
+  };
+}
 
-      console.log("[DEBUG] Filter generated:", JSON.stringify(filter, null, 2));
+function createLLMProvider(config) {
+  switch (config.provider) {
+    case "mock":
+      return createMockProvider(config);
+    case "openai":
+      return config.apiKey || config.baseURL
+        ? createOpenAIProvider(config)
+        : null;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}"`);
+  }
+}
 
-      // Check if this is a foreign key query
-      if (filter && filter.__foreign_key_query && filter.__criteria) {
-        console.log(
-          `[DEBUG] Processing foreign key query for ${filter.__foreign_key_query} with criteria:`,
-          filter.__criteria
-        );
-        const result = await processForeignKeyQuery(
-          filter.__foreign_key_query,
-          filter.__criteria,
-          l
-        );
-        return res.json(result);
-      }
+// ----- Translation cache -----
+// Caches LLM prompt->filter translations. Entries live in an in-memory LRU
+// (bounded by maxEntries, expired after ttlMs) and, when a collection name is
+// configured, in MongoDB so they survive restarts. Filters are stored as JSON
+// strings because MongoDB refuses to store "$"-prefixed keys like "$regex".
+function createTranslationCache({ ttlMs, maxEntries, collectionName }) {
+  const entries = new Map();
+  let collection = null;
 
-      // Regular user query processing
-      filter = convertDateFromString(filter);
-      const projection = ALLOW_PII ? {} : { email: 0 }; // Keep salary field visible
-      const results = await db
-        .collection("users")
-        .find(filter, { projection })
-        .limit(l)
-        .toArray();
-      const safe = results.map(hideSensitive);
-      return res.json({ count: safe.length, results: safe });
-    } catch (err) {
-      console.error("search/users error", err);
-      return res.status(500).json({ error: "Server error" });
+  function remember(key, json, expiresAt) {
+    entries.delete(key);
+    entries.set(key, { json, expiresAt });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
     }
-  });
+  }
 
-  // SEARCH EVENTS: body { q: string, limit?: number }, query param populate=false to disable user population (default: true)
-  app.post("/search/events", async (req, res) => {
-    try {
-      const { q = "", limit = 10 } = req.body || {};
-      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
-      const l = Math.min(Number(limit) || 10, 100);
-      const baseFilter = await parsePromptToMongoQuery(q, "events");
-      const filter = convertDateFromString(baseFilter);
-      const cursor = db.collection("events").find(filter).limit(l);
-      let docs = await cursor.toArray();
-
-      if (populate && docs.length) {
-        const userIds = Array.from(
-          new Set(
-            docs.flatMap((d) =>
-              (d.participant_ids || []).map((id) => id.toString())
-            )
-          )
-        ).map((s) => new ObjectId(s));
-        const users = await db
-          .collection("users")
-          .find(
-            { _id: { $in: userIds } },
-            { projection: ALLOW_PII ? {} : { email: 0 } }
-          )
-          .toArray();
-        const usersById = new Map(
-          users.map((u) => [u._id.toString(), hideSensitive(u)])
-        );
-        docs = docs.map((ev) => {
-          const participants = (ev.participant_ids || []).map(
-            (id) => usersById.get(id.toString()) || { _id: id }
-          );
-          return { ...ev, participants };
+  return {
+    async attach(database) {
+      if (!collectionName) return;
+      collection = database.collection(collectionName);
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log("Translation cache persisted in collection:", collectionName);
+    },
+
+    async get(key) {
+      const now = Date.now();
+      const hit = entries.get(key);
+      if (hit && hit.expiresAt > now) {
+        remember(key, hit.json, hit.expiresAt); // refresh LRU position
+        return JSON.parse(hit.json);
+      }
+      entries.delete(key);
+      if (!collection) return null;
+      try {
+        const doc = await collection.findOne({
+          _id: key,
+          expiresAt: { $gt: new Date(now) },
         });
+        if (!doc) return null;
+        remember(key, doc.value, doc.expiresAt.getTime());
+        return JSON.parse(doc.value);
+      } catch (err) {
+        console.error("Translation cache read error:", err);
+        return null;
       }
+    },
 
-      return res.json({ count: docs.length, results: docs });
-    } catch (err) {
-      console.error("search/events error", err);
-      return res.status(500).json({ error: "Server error" });
-    }
-  });
-
-  // SEARCH DATING: body { q: string, limit?: number }, query param populate=false to disable user population (default: true)
-  app.post("/search/dating", async (req, res) => {
-    try {
-      const { q = "", limit = 10 } = req.body || {};
-      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
-      const l = Math.min(Number(limit) || 10, 100);
-      const baseFilter = await parsePromptToMongoQuery(q, "dating");
-      const filter = convertDateFromString(baseFilter);
-
-      let docs = await db.collection("datings").find(filter).limit(l).toArray();
-
-      if (populate && docs.length) {
-        const userIds = Array.from(
-          new Set(
-            docs.flatMap((d) =>
-              [d.Male_id, d.Female_id]
-                .filter(Boolean)
-                .map((id) => id.toString())
-            )
-          )
-        ).map((s) => new ObjectId(s));
-        const users = await db
-          .collection("users")
-          .find(
-            { _id: { $in: userIds } },
-            { projection: ALLOW_PII ? {} : { email: 0 } }
-          )
-          .toArray();
-        const usersById = new Map(
-          users.map((u) => [u._id.toString(), hideSensitive(u)])
+    async set(key, value) {
+      const json = JSON.stringify(value);
+      const expiresAt = Date.now() + ttlMs;
+      remember(key, json, expiresAt);
+      if (!collection) return;
+      try {
+        await collection.updateOne(
+          { _id: key },
+          { $set: { value: json, expiresAt: new Date(expiresAt) } },
+          { upsert: true }
         );
-        docs = docs.map((dt) => ({
-          ...dt,
-          Male: dt.Male_id ? usersById.get(dt.Male_id.toString()) : null,
-          Female: dt.Female_id ? usersById.get(dt.Female_id.toString()) : null,
-        }));
+      } catch (err) {
+        console.error("Translation cache write error:", err);
       }
+    },
+  };
+}
 
-      return res.json({ count: docs.length, results: docs });
-    } catch (err) {
-      console.error("search/dating error", err);
-      return res.status(500).json({ error: "Server error" });
-    }
-  });
-
-  // SEARCH ALL: Search across all three collections
-  app.post("/search/all", async (req, res) => {
-    try {
-      const { q = "", limit = 10 } = req.body || {};
-      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
-      const l = Math.min(Number(limit) || 10, 30); // Reduced per-collection limit for combined search
+// Relative dates ("next month", "aged 25") depend on the server date, so the
+// day is part of the key.
+// Keys include the schema version, so a schema change (and with it the
+// prompt) doesn't serve translations made for the old fields, and a hash of
+// the session context, since a follow-up means something else in another
+// conversation.
+function translationCacheKey(prompt, type, now, context = null) {
+  return [
+    type,
+    now.toISOString().slice(0, 10),
+    schemaService.version(),
+    context ? createHash("sha256").update(context).digest("hex") : "",
+    normalizePrompt(prompt),
+  ].join("|");
+}
 
-      // Search all three collections in parallel
-      const [usersFilter, eventsFilter, datingFilter] = await Promise.all([
-        parsePromptToMongoQuery(q, "users"),
-        parsePromptToMongoQuery(q, "events"),
-        parsePromptToMongoQuery(q, "dating"),
-      ]);
+const translationCache = createTranslationCache({
+  ttlMs: TRANSLATION_CACHE_TTL_MS,
+  maxEntries: TRANSLATION_CACHE_MAX,
+  collectionName: TRANSLATION_CACHE_COLLECTION,
+});
 
-      console.log(`[DEBUG] Filters generated:`, {
-        usersFilter,
-        eventsFilter,
-        datingFilter,
-      });
+// ----- Search sessions -----
+// A "sessionId" on a search keeps the conversation server-side: each turn's
+// prompt and, per collection, the filter, sort, the ids of the results shown
+// and the user ids those results reference. The LLM gets the earlier turns
+// with the next prompt so "only those older than 30" refines the last filter
+// and "which events do they attend?" pivots on the ids (see CONVERSATION
+// FOLLOW-UPS in SYSTEM_PROMPT); the rule-based parser ignores them. Sessions
+// belong to the API key that uses them, keep the last SESSION_MAX_TURNS turns
+// and expire SESSION_TTL_MS after their last turn. They live in memory, or in
+// SESSION_COLLECTION so several instances share them; turns are stored as
+// JSON text for the same "$regex" reason as the translation cache.
+const SESSION_MAX_IDS = 20;
 
-      // Only run queries if the filter is not empty
-      let usersResults = [];
-      // Check if this is a foreign key query for users
-      if (
-        usersFilter &&
-        usersFilter.__foreign_key_query &&
-        usersFilter.__criteria
-      ) {
-        console.log(
-          `[DEBUG] Processing foreign key query in /search/all for ${usersFilter.__foreign_key_query}`
-        );
-        const fkResult = await processForeignKeyQuery(
-          usersFilter.__foreign_key_query,
-          usersFilter.__criteria,
-          l
-        );
-        usersResults = fkResult.results || [];
-      } else if (usersFilter) {
-        // ✅ CORRECTED: This now allows an empty filter {} to pass, which finds all users.
-        usersResults = await db
-          .collection("users")
-          .find(convertDateFromString(usersFilter), {
-            projection: ALLOW_PII ? {} : { email: 0 }, // Keep salary visible
-          })
-          .limit(l)
-          .toArray();
-        usersResults = usersResults.map(hideSensitive);
-      }
+function createSessionStore({ ttlMs, collectionName }) {
+  const sessions = new Map();
+  let collection = null;
 
-      let eventsResults = [];
-      // ✅ CORRECTED: This now allows an empty filter {} to pass, which finds all events.
-      if (eventsFilter) {
-        eventsResults = await db
-          .collection("events")
-          .find(convertDateFromString(eventsFilter))
-          .limit(l)
-          .toArray();
-      }
+  let prunedAt = 0;
 
-      let datingResults = [];
-      // ✅ CORRECTED: This now allows an empty filter {} to pass, which finds all datings.
-      if (datingFilter) {
-        datingResults = await db
-          .collection("datings")
-          .find(convertDateFromString(datingFilter))
-          .limit(l)
-          .toArray();
-      }
+  function prune(now) {
+    if (now - prunedAt < 60000) return;
+    for (const [key, entry] of sessions) {
+      if (entry.expiresAt <= now) sessions.delete(key);
+    }
+    prunedAt = now;
+  }
 
-      // Populate if requested
-      if (populate) {
-        // Populate events participants
-        if (eventsResults.length) {
-          const eventUserIds = Array.from(
-            new Set(
-              eventsResults.flatMap((d) =>
-                (d.participant_ids || []).map((id) => id.toString())
-              )
-            )
-          ).map((s) => new ObjectId(s));
-
-          if (eventUserIds.length) {
-            const eventUsers = await db
-              .collection("users")
-              .find(
-                { _id: { $in: eventUserIds } },
-                { projection: ALLOW_PII ? {} : { email: 0 } }
-              )
-              .toArray();
-            const eventUsersById = new Map(
-              eventUsers.map((u) => [u._id.toString(), hideSensitive(u)])
-            );
+  return {
+    async attach(database) {
+      if (!collectionName) return;
+      collection = database.collection(collectionName);
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log("Search sessions stored in collection:", collectionName);
+    },
 
-            eventsResults.forEach((ev) => {
-              const participants = (ev.participant_ids || []).map(
-                (id) => eventUsersById.get(id.toString()) || { _id: id }
-              );
-              ev.participants = participants;
-            });
-          }
+    // The session's turns, or [] when it is unknown or expired.
+    async get(key) {
+      const now = Date.now();
+      prune(now);
+      if (collection) {
+        try {
+          const doc = await collection.findOne({
+            _id: key,
+            expiresAt: { $gt: new Date(now) },
+          });
+          return doc ? JSON.parse(doc.turns) : [];
+        } catch (err) {
+          console.error("Session store read error:", err);
         }
+      }
+      const entry = sessions.get(key);
+      return entry && entry.expiresAt > now ? JSON.parse(entry.turns) : [];
+    },
 
-        // Populate dating Male/Female
-        if (datingResults.length) {
-          const datingUserIds = Array.from(
-            new Set(
-              datingResults.flatMap((d) =>
-                [d.Male_id, d.Female_id]
-                  .filter(Boolean)
-                  .map((id) => id.toString())
-              )
-            )
-          ).map((s) => new ObjectId(s));
-
-          if (datingUserIds.length) {
-            const datingUsers = await db
-              .collection("users")
-              .find(
-                { _id: { $in: datingUserIds } },
-                { projection: ALLOW_PII ? {} : { email: 0 } }
-              )
-              .toArray();
-            const datingUsersById = new Map(
-              datingUsers.map((u) => [u._id.toString(), hideSensitive(u)])
-            );
-
-            datingResults.forEach((dt) => {
-              dt.Male = dt.Male_id
-                ? datingUsersById.get(dt.Male_id.toString())
-                : null;
-              dt.Female = dt.Female_id
-                ? datingUsersById.get(dt.Female_id.toString())
-                : null;
-            });
-          }
+    async set(key, turns) {
+      const json = JSON.stringify(turns);
+      const expiresAt = Date.now() + ttlMs;
+      if (collection) {
+        try {
+          await collection.updateOne(
+            { _id: key },
+            { $set: { turns: json, expiresAt: new Date(expiresAt) } },
+            { upsert: true }
+          );
+          return;
+        } catch (err) {
+          console.error("Session store write error:", err);
         }
       }
+      sessions.set(key, { turns: json, expiresAt });
+    },
+  };
+}
 
-      const totalCount =
-        usersResults.length + eventsResults.length + datingResults.length;
-
-      return res.json({
-        count: totalCount,
-        results: {
-          users: { count: usersResults.length, data: usersResults },
-          events: { count: eventsResults.length, data: eventsResults },
-          dating: { count: datingResults.length, data: datingResults },
-        },
-        queries: {
-          users: usersFilter,
-          events: eventsFilter,
-          dating: datingFilter,
-        },
-      });
-    } catch (err) {
-      console.error("search/all error", err);
-      return res.status(500).json({ error: "Server error" });
-    }
-  });
+const sessionStore = createSessionStore({
+  ttlMs: SESSION_TTL_MS,
+  collectionName: SESSION_COLLECTION,
+});
 
-  // Start Express
+// Loads the caller's session `sessionId` ({ id, key, turns }; a new one when
+// unknown or expired), or null without a sessionId.
+async function openSession(sessionId) {
+  if (sessionId == null) return null;
+  if (typeof sessionId !== "string" || !/^[\w.:-]{1,128}$/.test(sessionId)) {
+    throw new RequestError(
+      "sessionId must be 1-128 letters, digits, '.', '_', ':' or '-'"
+    );
+  }
+  const key = `${currentApiKey().id}:${sessionId}`;
+  return { id: sessionId, key, turns: await sessionStore.get(key) };
+}
+
+// The earlier turns as shown to the LLM, or null for a new session.
+function sessionContext(session) {
+  if (!session || !session.turns.length) return null;
+  const lines = session.turns.flatMap((turn, i) => [
+    `${i + 1}. Prompt: ${turn.prompt}`,
+    ...Object.entries(turn.results).map(
+      ([type, r]) =>
+        `   ${type}: filter ${JSON.stringify(r.filter)}` +
+        (r.sort ? ` sort ${JSON.stringify(r.sort)}` : "") +
+        ` ids ${JSON.stringify(r.ids)}` +
+        (Object.keys(r.refs).length ? ` refs ${JSON.stringify(r.refs)}` : "")
+    ),
+  ]);
+  return lines.join("\n");
+}
+
+// Ids (as strings) the documents reference, keyed by referenced collection.
+function sessionRefs(type, docs) {
+  const refs = {};
+  for (const rel of relationshipsFrom(COLLECTION_BY_TYPE[type])) {
+    const ids = docs.flatMap((doc) =>
+      referencedIds(doc, rel).map((id) => (id._id ?? id).toString())
+    );
+    refs[rel.to] = [...new Set([...(refs[rel.to] || []), ...ids])].slice(
+      0,
+      SESSION_MAX_IDS
+    );
+  }
+  return refs;
+}
+
+// Appends a turn for `results` ({ [type]: { search, docs } }). Pages fetched
+// with a cursor continue the previous turn, and collections the prompt
+// wasn't about (the no-match filter) are left out.
+async function recordTurn(session, results) {
+  if (!session) return;
+  const entries = Object.entries(results).filter(
+    ([, { search }]) =>
+      search &&
+      search.parser !== "cursor" &&
+      !String(search.filter._id ?? "").startsWith("intentionally_no_match")
+  );
+  if (!entries.length) return;
+  const turn = {
+    prompt: entries[0][1].search.prompt,
+    at: new Date().toISOString(),
+    results: Object.fromEntries(
+      entries.map(([type, { search, docs }]) => [
+        type,
+        {
+          filter: search.filter,
+          sort: search.sort,
+          ids: docs.slice(0, SESSION_MAX_IDS).map((d) => d._id.toString()),
+          refs: sessionRefs(type, docs),
+        },
+      ])
+    ),
+  };
+  session.turns = [...session.turns, turn].slice(-SESSION_MAX_TURNS);
+  await sessionStore.set(session.key, session.turns);
+}
+
+// ----- Rate limits -----
+// Each API key (each IP for requests without a valid key) gets perMinute
+// requests per fixed one-minute window, REST and MCP combined, and per UTC
+// day dailyCalls LLM calls and dailyTokens LLM tokens. Limits come from the
+// key's `limits` over DEFAULT_LIMITS; 0 means unlimited. Counters live in
+// memory, or in the collection named by RATE_LIMIT_COLLECTION so several
+// instances share them.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RateLimitError extends RequestError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+
+  toResponse() {
+    return { error: this.message, retryAfter: this.retryAfter };
+  }
+}
+
+function rateLimitError(message, resetAt) {
+  return new RateLimitError(
+    message,
+    Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  );
+}
+
+function normalizeLimits(limits) {
+  if (limits == null) return {};
+  if (!isPlainObject(limits))
+    throw new RequestError("limits must be an object");
+  const out = {};
+  for (const [name, value] of Object.entries(limits)) {
+    if (!(name in DEFAULT_LIMITS))
+      throw new RequestError(
+        `Unknown limit "${name}"; use ${Object.keys(DEFAULT_LIMITS).join(", ")}`
+      );
+    if (!Number.isInteger(value) || value < 0)
+      throw new RequestError(`limits.${name} must be a whole number >= 0`);
+    out[name] = value;
+  }
+  return out;
+}
+
+function createRateLimitStore({ collectionName }) {
+  const counters = new Map();
+  let collection = null;
+
+  let prunedAt = 0;
+
+  function incrementInMemory(key, amount, resetAt) {
+    const now = Date.now();
+    if (now - prunedAt > 60000) {
+      for (const [k, entry] of counters) {
+        if (entry.resetAt <= now) counters.delete(k);
+      }
+      prunedAt = now;
+    }
+    const entry = counters.get(key) || { count: 0, resetAt };
+    entry.count += amount;
+    counters.set(key, entry);
+    return entry.count;
+  }
+
+  return {
+    async attach(database) {
+      if (!collectionName) return;
+      collection = database.collection(collectionName);
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log("Rate limit counters stored in collection:", collectionName);
+    },
+
+    // Adds `amount` to the counter `key` (which expires at resetAt) and
+    // returns the new total; an amount of 0 just reads it.
+    async increment(key, amount, resetAt) {
+      if (!collection) return incrementInMemory(key, amount, resetAt);
+      try {
+        const doc = await collection.findOneAndUpdate(
+          { _id: key },
+          {
+            $inc: { count: amount },
+            $setOnInsert: { expiresAt: new Date(resetAt) },
+          },
+          { upsert: true, returnDocument: "after" }
+        );
+        return doc.count;
+      } catch (err) {
+        console.error("Rate limit store error:", err);
+        return incrementInMemory(key, amount, resetAt);
+      }
+    },
+  };
+}
+
+const rateLimitStore = createRateLimitStore({
+  collectionName: RATE_LIMIT_COLLECTION,
+});
+
+// Counts one request for `subject` and returns { limit, remaining, resetAt,
+// limited }, or null when the limit is 0 (unlimited).
+async function checkRateLimit(subject, limit) {
+  if (!limit) return null;
+  const windowStart = Math.floor(Date.now() / 60000) * 60000;
+  const resetAt = windowStart + 60000;
+  const count = await rateLimitStore.increment(
+    `rate:${subject}:${windowStart}`,
+    1,
+    resetAt
+  );
+  return {
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetAt,
+    limited: count > limit,
+  };
+}
+
+function rateLimitHeaders({ limit, remaining, resetAt }) {
+  return {
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(remaining),
+    "RateLimit-Reset": String(Math.ceil((resetAt - Date.now()) / 1000)),
+  };
+}
+
+function budgetKeys() {
+  const dayStart = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const { id } = currentApiKey();
+  return {
+    calls: `llm-calls:${id}:${dayStart}`,
+    tokens: `llm-tokens:${id}:${dayStart}`,
+    resetAt: dayStart + DAY_MS,
+  };
+}
+
+// Throws a RateLimitError when the caller has used up today's LLM calls or
+// tokens. Called right before each LLM request (cache hits and the rule-based
+// parser don't count); the request that crosses a limit still completes.
+async function checkLLMBudget() {
+  const { dailyCalls, dailyTokens } = currentApiKey().limits;
+  const { calls, tokens, resetAt } = budgetKeys();
+  const [usedCalls, usedTokens] = await Promise.all([
+    dailyCalls ? rateLimitStore.increment(calls, 0, resetAt) : 0,
+    dailyTokens ? rateLimitStore.increment(tokens, 0, resetAt) : 0,
+  ]);
+  const exhausted =
+    (dailyCalls && usedCalls >= dailyCalls) ||
+    (dailyTokens && usedTokens >= dailyTokens);
+  if (!exhausted) return;
+  const err = rateLimitError("Daily LLM budget exhausted", resetAt);
+  const { setHeaders } = requestContext.getStore() || {};
+  if (setHeaders) setHeaders({ "Retry-After": String(err.retryAfter) });
+  throw err;
+}
+
+async function chargeLLMBudget(usage) {
+  const { calls, tokens, resetAt } = budgetKeys();
+  await Promise.all([
+    rateLimitStore.increment(calls, 1, resetAt),
+    rateLimitStore.increment(
+      tokens,
+      (usage && usage.total_tokens) || 0,
+      resetAt
+    ),
+  ]);
+}
+
+// llm.complete with the caller's daily budget enforced and charged.
+async function completeWithBudget(request) {
+  await checkLLMBudget();
+  const result = await llm.complete(request);
+  await chargeLLMBudget(result.usage);
+  return result;
+}
+
+// ----- Schema introspection -----
+// Learns each collection's top-level fields from its $jsonSchema validator
+// when it has one, otherwise from a $sample of SCHEMA_SAMPLE_SIZE documents,
+// on top of SCHEMA_BASELINE (so the prompts are usable before the first
+// refresh). Per collection hint:
+//   { collection, source: "baseline" | "validator" | "sample", sampled,
+//     fields: [{ name, types, values?, ref? }] }
+// values lists the stored values of enum-like string fields (validator enums,
+// or at most SCHEMA_MAX_VALUES distinct values repeated in the sample), and
+// ref the collection a RELATIONSHIPS field points at. Only fields filter
+// validation accepts (FILTER_ALLOWLIST, minus those starting with "_") are
+// described: introspection documents the allowlist, it never widens it. The
+// schema is refreshed every SCHEMA_REFRESH_MS and fills {{COLLECTIONS}} in the
+// LLM prompts.
+const SCHEMA_MAX_VALUES = 12;
+const SCHEMA_BASELINE = {
+  users: {
+    Name: "string",
+    Gender: "string",
+    Location: "string",
+    DOB: "date",
+    Salary: "number",
+    Occupation: "string",
+  },
+  events: {
+    Event_name: "string",
+    Event_type: "string",
+    Event_location: "string",
+    Event_date: "date",
+    participant_ids: "array",
+  },
+  datings: {
+    Dating_location: "string",
+    Dating_Date: "date",
+    Male_id: "objectId",
+    Female_id: "objectId",
+  },
+};
+
+function valueType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Date) return "date";
+  if (value._bsontype === "ObjectId") return "objectId";
+  if (["Long", "Int32", "Double", "Decimal128"].includes(value._bsontype))
+    return "number";
+  if (typeof value === "boolean") return "bool";
+  return typeof value === "object" ? "object" : typeof value;
+}
+
+// $jsonSchema bsonType names -> the names used above
+function jsonSchemaTypes(spec) {
+  const names = [].concat(spec.bsonType || spec.type || []);
+  return names.map((name) =>
+    ["int", "long", "double", "decimal", "number"].includes(name)
+      ? "number"
+      : name
+  );
+}
+
+function schemaFieldVisible(collection, name) {
+  return (
+    !name.startsWith("_") &&
+    !name.includes(".") &&
+    isAllowedField(collection, name)
+  );
+}
+
+function fieldsFromValidator(collection, jsonSchema) {
+  return Object.entries(jsonSchema.properties || {})
+    .filter(([name]) => schemaFieldVisible(collection, name))
+    .map(([name, spec]) => ({
+      name,
+      types: jsonSchemaTypes(spec),
+      ...(Array.isArray(spec.enum) ? { values: spec.enum } : {}),
+    }));
+}
+
+function fieldsFromSample(collection, docs) {
+  const seen = new Map();
+  for (const doc of docs) {
+    for (const [name, value] of Object.entries(doc)) {
+      if (!schemaFieldVisible(collection, name)) continue;
+      const field = seen.get(name) || {
+        types: new Set(),
+        values: new Set(),
+        strings: 0,
+      };
+      field.types.add(valueType(value));
+      if (typeof value === "string") {
+        field.strings += 1;
+        if (field.values.size <= SCHEMA_MAX_VALUES) field.values.add(value);
+      }
+      seen.set(name, field);
+    }
+  }
+  return Array.from(seen, ([name, { types, values, strings }]) => {
+    const enumLike =
+      values.size > 0 &&
+      values.size <= SCHEMA_MAX_VALUES &&
+      values.size * 2 <= strings;
+    return {
+      name,
+      types: Array.from(types),
+      ...(enumLike ? { values: Array.from(values).sort() } : {}),
+    };
+  });
+}
+
+// Baseline fields first (introspected types and values win), then new ones.
+function mergeSchemaFields(collection, fields) {
+  const byName = new Map(fields.map((field) => [field.name, field]));
+  const merged = Object.entries(SCHEMA_BASELINE[collection] || {}).map(
+    ([name, type]) => byName.get(name) || { name, types: [type] }
+  );
+  const extra = fields.filter(
+    (field) => !(field.name in (SCHEMA_BASELINE[collection] || {}))
+  );
+  return [...merged, ...extra].map((field) => {
+    const rel = RELATIONSHIPS.find(
+      (r) => r.from === collection && r.field === field.name
+    );
+    return rel ? { ...field, ref: rel.to } : field;
+  });
+}
+
+async function introspectCollection(database, collection) {
+  const [info] = await database.listCollections({ name: collection }).toArray();
+  const jsonSchema = info?.options?.validator?.$jsonSchema;
+  if (jsonSchema) {
+    return {
+      source: "validator",
+      sampled: 0,
+      fields: fieldsFromValidator(collection, jsonSchema),
+    };
+  }
+  const docs = await database
+    .collection(collection)
+    .aggregate([{ $sample: { size: SCHEMA_SAMPLE_SIZE } }])
+    .toArray();
+  return {
+    source: "sample",
+    sampled: docs.length,
+    fields: fieldsFromSample(collection, docs),
+  };
+}
+
+function renderSchemaField(field) {
+  const types = field.types.filter((type) => type !== "null");
+  let line = `  * ${field.name} (${types.join(" or ") || "null"}`;
+  if (field.ref) line += `, references ${field.ref} _id`;
+  line += ")";
+  if (field.values)
+    line += `, values: ${field.values.map((v) => JSON.stringify(v)).join(", ")}`;
+  return line;
+}
+
+// The {{COLLECTIONS}} block of the prompts.
+function describeSchema(schema) {
+  return Object.entries(schema.collections)
+    .map(([type, { collection, fields }]) =>
+      [
+        `- ${type} (MongoDB collection "${collection}"):`,
+        ...fields.map(renderSchemaField),
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+function createSchemaService({ refreshMs }) {
+  const build = (entries) => ({
+    refreshedAt: new Date(),
+    collections: Object.fromEntries(
+      Object.keys(COLLECTION_BY_TYPE).map((type) => {
+        const collection = COLLECTION_BY_TYPE[type];
+        const found = entries[type] || {
+          source: "baseline",
+          sampled: 0,
+          fields: [],
+        };
+        return [
+          type,
+          {
+            collection,
+            source: found.source,
+            sampled: found.sampled,
+            fields: mergeSchemaFields(collection, found.fields),
+          },
+        ];
+      })
+    ),
+  });
+  let schema = null;
+  let version = null;
+  let database = null;
+
+  function set(next) {
+    schema = next;
+    version = createHash("sha256")
+      .update(describeSchema(next))
+      .digest("hex")
+      .slice(0, 12);
+  }
+
+  return {
+    async attach(connected) {
+      database = connected;
+      await this.refresh();
+      setInterval(() => this.refresh(), refreshMs).unref();
+    },
+
+    // Re-reads every collection; on failure the previous schema is kept.
+    async refresh() {
+      if (!database) return this.get();
+      try {
+        const entries = {};
+        for (const type of Object.keys(COLLECTION_BY_TYPE)) {
+          entries[type] = await introspectCollection(
+            database,
+            COLLECTION_BY_TYPE[type]
+          );
+        }
+        set(build(entries));
+        console.log("Schema introspected:", this.version());
+      } catch (err) {
+        console.error("Schema introspection error:", err);
+      }
+      return this.get();
+    },
+
+    get() {
+      if (!schema) set(build({}));
+      return schema;
+    },
+
+    version() {
+      this.get();
+      return version;
+    },
+  };
+}
+
+const schemaService = createSchemaService({ refreshMs: SCHEMA_REFRESH_MS });
+
+function withSchema(prompt) {
+  return prompt.replace("{{COLLECTIONS}}", () =>
+    describeSchema(schemaService.get())
+  );
+}
+
+// The schema as shown to the current caller: collections outside its scopes
+// are left out.
+function visibleSchema() {
+  const { refreshedAt, collections } = schemaService.get();
+  return {
+    refreshedAt,
+    version: schemaService.version(),
+    collections: Object.fromEntries(
+      Object.entries(collections).filter(([type]) => mayAccessCollection(type))
+    ),
+  };
+}
+
+// ----- Filter validation -----
+// Every filter produced by the parser is checked against these allowlists
+// before it reaches db.collection(...).find(). Anything not listed is refused.
+const COLLECTION_BY_TYPE = {
+  users: "users",
+  events: "events",
+  dating: "datings",
+};
+
+const FILTER_ALLOWLIST = {
+  users: {
+    fields: [
+      "_id",
+      "Name",
+      "Gender",
+      "Location",
+      "DOB",
+      "Salary",
+      "Occupation",
+    ],
+    prefixes: [],
+  },
+  events: { fields: ["_id", "participant_ids"], prefixes: ["Event_"] },
+  datings: { fields: ["_id", "Male_id", "Female_id"], prefixes: ["Dating_"] },
+};
+
+const LOGICAL_OPERATORS = new Set(["$and", "$or", "$nor"]);
+const FIELD_OPERATORS = new Set([
+  "$eq",
+  "$ne",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$in",
+  "$nin",
+  "$all",
+  "$regex",
+  "$options",
+  "$exists",
+  "$size",
+  "$not",
+  "$elemMatch",
+]);
+
+class FilterValidationError extends RequestError {
+  constructor(message, { collection, key, path }) {
+    super(message);
+    this.name = "FilterValidationError";
+    this.collection = collection;
+    this.key = key;
+    this.path = path;
+  }
+
+  toResponse() {
+    return {
+      error: "Filter rejected",
+      reason: this.message,
+      collection: this.collection,
+      key: this.key,
+      path: this.path,
+    };
+  }
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function isAllowedField(collection, field) {
+  const { fields, prefixes } = FILTER_ALLOWLIST[collection];
+  const root = field.split(".")[0];
+  return fields.includes(root) || prefixes.some((p) => root.startsWith(p));
+}
+
+function validateDateFromString(value, ctx, path) {
+  const spec = value.$dateFromString;
+  const reject = (message) => {
+    throw new FilterValidationError(message, {
+      ...ctx,
+      key: "$dateFromString",
+      path,
+    });
+  };
+  if (!isPlainObject(spec)) reject("$dateFromString must be an object");
+  if (Object.keys(value).length !== 1)
+    reject("$dateFromString cannot be combined with other keys");
+  for (const key of Object.keys(spec)) {
+    if (key !== "dateString" && key !== "timezone")
+      reject(`Unsupported $dateFromString option "${key}"`);
+  }
+  if (
+    typeof spec.dateString !== "string" ||
+    Number.isNaN(Date.parse(spec.dateString))
+  ) {
+    reject("$dateFromString.dateString must be an ISO date string");
+  }
+}
+
+// A literal is anything MongoDB compares by value: scalars, Dates and
+// $dateFromString wrappers (converted later by convertDateFromString).
+function validateLiteral(value, ctx, path) {
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => validateLiteral(v, ctx, `${path}[${i}]`));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+  if ("$dateFromString" in value) {
+    validateDateFromString(value, ctx, path);
+    return;
+  }
+  const key = Object.keys(value)[0];
+  throw new FilterValidationError(
+    `Embedded documents are not allowed as values (found "${key}")`,
+    { ...ctx, key, path: `${path}.${key}` }
+  );
+}
+
+function validateFieldValue(value, ctx, path) {
+  if (!isPlainObject(value) || "$dateFromString" in value) {
+    validateLiteral(value, ctx, path);
+    return;
+  }
+  for (const [op, operand] of Object.entries(value)) {
+    const opPath = `${path}.${op}`;
+    const reject = (message) => {
+      throw new FilterValidationError(message, {
+        ...ctx,
+        key: op,
+        path: opPath,
+      });
+    };
+    if (!FIELD_OPERATORS.has(op)) {
+      reject(
+        op.startsWith("$")
+          ? `Operator "${op}" is not allowed`
+          : `Nested key "${op}" is not allowed`
+      );
+    }
+    switch (op) {
+      case "$in":
+      case "$nin":
+      case "$all":
+        if (!Array.isArray(operand)) reject(`${op} expects an array`);
+        validateLiteral(operand, ctx, opPath);
+        break;
+      case "$regex":
+        if (typeof operand !== "string") reject("$regex expects a string");
+        break;
+      case "$options":
+        if (typeof operand !== "string" || !/^[imsx]*$/.test(operand))
+          reject("$options may only contain the flags i, m, s, x");
+        break;
+      case "$exists":
+        if (typeof operand !== "boolean") reject("$exists expects a boolean");
+        break;
+      case "$size":
+        if (!Number.isInteger(operand)) reject("$size expects an integer");
+        break;
+      case "$not":
+      case "$elemMatch":
+        if (!isPlainObject(operand)) reject(`${op} expects an object`);
+        validateFieldValue(operand, ctx, opPath);
+        break;
+      default:
+        validateLiteral(operand, ctx, opPath);
+    }
+  }
+}
+
+function validateFilterNode(node, ctx, path) {
+  if (!isPlainObject(node)) {
+    throw new FilterValidationError("Filter must be a JSON object", {
+      ...ctx,
+      key: path || null,
+      path: path || null,
+    });
+  }
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (LOGICAL_OPERATORS.has(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new FilterValidationError(`${key} expects a non-empty array`, {
+          ...ctx,
+          key,
+          path: keyPath,
+        });
+      }
+      value.forEach((sub, i) =>
+        validateFilterNode(sub, ctx, `${keyPath}[${i}]`)
+      );
+    } else if (key.startsWith("$")) {
+      throw new FilterValidationError(`Operator "${key}" is not allowed`, {
+        ...ctx,
+        key,
+        path: keyPath,
+      });
+    } else if (
+      !(ctx.isAllowed
+        ? ctx.isAllowed(key)
+        : isAllowedField(ctx.collection, key))
+    ) {
+      throw new FilterValidationError(
+        `Field "${key}" is not allowed on ${ctx.collection}`,
+        { ...ctx, key, path: keyPath }
+      );
+    } else {
+      const root = key.split(".")[0];
+      const action = ctx.redaction
+        ? ctx.redaction(key)
+        : ctx.collection === "users"
+          ? redactionPolicy()[root]
+          : null;
+      validateFieldValue(value, ctx, keyPath);
+      if (action) validateRedactedCondition(key, value, action, ctx, keyPath);
+    }
+  }
+}
+
+// Conditions on a field the caller's policy redacts may only select whole
+// bands or whole years of age, so a filter can't tell more about a document
+// than its redacted value shows: "band" fields take "$gte"/"$lt" bounds on
+// multiples of REDACTION_BAND_SIZE (a band is low <= value < low + size),
+// "age" fields "$lte"/"$gt" bounds on `now`'s calendar day in an earlier
+// year (as ageRange writes ages; `now` is the translation's server date).
+// Exact values, $in, $regex etc. are rejected, and masked or dropped fields
+// only allow "$exists". salaryBand and birthRange produce these shapes.
+const REDACTED_BOUNDS = { band: ["$gte", "$lt"], age: ["$lte", "$gt"] };
+
+function isBandEdge(value) {
+  return typeof value === "number" && value % REDACTION_BAND_SIZE === 0;
+}
+
+function isAgeEdge(value, now) {
+  const date =
+    value instanceof Date
+      ? value
+      : isPlainObject(value) && value.$dateFromString
+        ? new Date(value.$dateFromString.dateString)
+        : null;
+  if (!date || Number.isNaN(date.getTime())) return false;
+  const edge = yearsBefore(now, now.getUTCFullYear() - date.getUTCFullYear());
+  return date.toISOString().slice(0, 10) === edge.toISOString().slice(0, 10);
+}
+
+function validateRedactedCondition(field, value, action, ctx, path) {
+  const bounds = REDACTED_BOUNDS[action] || [];
+  const allowed =
+    action === "band"
+      ? `"$gte"/"$lt" bounds on multiples of ${REDACTION_BAND_SIZE}`
+      : action === "age"
+        ? `"$lte"/"$gt" bounds on today's date in an earlier year (whole years of age)`
+        : `"$exists"`;
+  const reject = (key, at) => {
+    throw new FilterValidationError(
+      `"${field}" is redacted for your role; filter it with ${allowed} only`,
+      { ...ctx, key, path: at }
+    );
+  };
+  if (!isPlainObject(value) || "$dateFromString" in value) reject(field, path);
+  const now = ctx.now ?? new Date();
+  for (const [op, operand] of Object.entries(value)) {
+    if (op === "$exists") continue;
+    const edge =
+      action === "band" ? isBandEdge(operand) : isAgeEdge(operand, now);
+    if (!bounds.includes(op) || !edge) reject(op, `${path}.${op}`);
+  }
+}
+
+// Users foreign key filters come in two shapes, both with an optional
+// "__user_filter" on the users themselves:
+//   { __foreign_key_query, __criteria, __user_filter? }
+//   { __relations, __user_filter? }
+// where __relations combines { __foreign_key_query, __criteria } terms with
+// $and / $or (non-empty arrays) and $not (a single term).
+const MAX_RELATION_TERMS = 4;
+
+function isForeignKeyFilter(filter) {
+  return (
+    isPlainObject(filter) &&
+    ("__foreign_key_query" in filter || "__relations" in filter)
+  );
+}
+
+function validateRelation(node, path, state) {
+  const ctx = { collection: "users" };
+  const at = (key) => (path ? `${path}.${key}` : key);
+  if (!isPlainObject(node)) {
+    throw new FilterValidationError("Relation must be a JSON object", {
+      ...ctx,
+      key: path || null,
+      path: path || null,
+    });
+  }
+  if ("__foreign_key_query" in node) {
+    const { __foreign_key_query: fk, __criteria, ...rest } = node;
+    if (!foreignKeyTypes().includes(fk)) {
+      throw new FilterValidationError(`Unknown foreign key query "${fk}"`, {
+        ...ctx,
+        key: "__foreign_key_query",
+        path: at("__foreign_key_query"),
+      });
+    }
+    const extra = Object.keys(rest)[0];
+    if (extra) {
+      throw new FilterValidationError(
+        `Key "${extra}" is not allowed alongside __foreign_key_query`,
+        { ...ctx, key: extra, path: at(extra) }
+      );
+    }
+    if (++state.terms > MAX_RELATION_TERMS) {
+      throw new FilterValidationError(
+        `At most ${MAX_RELATION_TERMS} relations can be combined`,
+        { ...ctx, key: "__foreign_key_query", path: at("__foreign_key_query") }
+      );
+    }
+    validateFilterNode(
+      __criteria,
+      { collection: COLLECTION_BY_TYPE[fk] },
+      at("__criteria")
+    );
+    return;
+  }
+  const keys = Object.keys(node);
+  const op = keys[0];
+  if (keys.length !== 1 || !["$and", "$or", "$not"].includes(op)) {
+    throw new FilterValidationError(
+      "Relation must be a __foreign_key_query term or one of $and, $or, $not",
+      { ...ctx, key: op || null, path: op ? at(op) : path || null }
+    );
+  }
+  if (op === "$not") return validateRelation(node.$not, at(op), state);
+  if (!Array.isArray(node[op]) || node[op].length === 0) {
+    throw new FilterValidationError(`${op} expects a non-empty array`, {
+      ...ctx,
+      key: op,
+      path: at(op),
+    });
+  }
+  node[op].forEach((sub, i) => validateRelation(sub, `${at(op)}[${i}]`, state));
+}
+
+// Validate a parsed (pre-convertDateFromString) filter for a collection hint
+// ("users" | "events" | "dating"). Throws FilterValidationError on the first
+// refused key; returns the filter unchanged otherwise.
+function validateFilter(filter, type, now = new Date()) {
+  const collection = COLLECTION_BY_TYPE[type];
+  if (collection === "users" && isForeignKeyFilter(filter)) {
+    const { __user_filter, __relations, ...relation } = filter;
+    if (__relations !== undefined) {
+      const extra = Object.keys(relation)[0];
+      if (extra) {
+        throw new FilterValidationError(
+          `Key "${extra}" is not allowed alongside __relations`,
+          { collection, key: extra, path: extra }
+        );
+      }
+      validateRelation(__relations, "__relations", { terms: 0 });
+    } else {
+      validateRelation(relation, "", { terms: 0 });
+    }
+    if (__user_filter !== undefined)
+      validateFilterNode(__user_filter, { collection, now }, "__user_filter");
+    return filter;
+  }
+  validateFilterNode(filter, { collection, now }, "");
+  return filter;
+}
+
+const MAX_SORT_FIELDS = 3;
+
+// Normalizes a sort spec ({ field: 1 | -1 | "asc" | "desc" }) for a
+// collection hint and checks its fields against the same allowlist as
+// filters. Foreign key queries on users sort the users. Returns null when
+// there is nothing to sort by.
+function normalizeSort(sort, type) {
+  if (sort == null) return null;
+  const collection = COLLECTION_BY_TYPE[type];
+  const reject = (message, key) => {
+    throw new FilterValidationError(message, {
+      collection,
+      key,
+      path: key ? `__sort.${key}` : "__sort",
+    });
+  };
+  if (!isPlainObject(sort)) reject("Sort must be an object", null);
+  const entries = Object.entries(sort);
+  if (entries.length > MAX_SORT_FIELDS)
+    reject(`Sort accepts at most ${MAX_SORT_FIELDS} fields`, null);
+  const out = {};
+  for (const [field, direction] of entries) {
+    if (field.includes(".") || !isAllowedField(collection, field))
+      reject(`Cannot sort ${collection} by "${field}"`, field);
+    const dir = String(direction).toLowerCase();
+    if (dir === "1" || dir === "asc") out[field] = 1;
+    else if (dir === "-1" || dir === "desc") out[field] = -1;
+    else reject(`Sort direction for "${field}" must be 1 or -1`, field);
+  }
+  return entries.length ? out : null;
+}
+
+// ----- Cursor pagination -----
+// Every search pages through its collection in sort order, with _id as the
+// final tie-breaker. A cursor is an opaque token holding the validated raw
+// filter, the sort and the sort position of the last document served, so the
+// next page skips the LLM and keeps its position even while new documents
+// are inserted. The position holds raw field values (a Salary or DOB the
+// caller may only see redacted), so the token is encrypted, not just signed:
+// AES-256-GCM under a key derived from CURSOR_SECRET, which also rejects
+// tampered tokens.
+class InvalidCursorError extends RequestError {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+
+  toResponse() {
+    return { error: "Invalid cursor", reason: this.message };
+  }
+}
+
+const CURSOR_KEY = createHash("sha256").update(CURSOR_SECRET).digest();
+
+function sealCursor(json) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", CURSOR_KEY, iv);
+  const body = Buffer.concat([cipher.update(json, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString("base64url");
+}
+
+// The cursor's JSON, or null when the token wasn't sealed with CURSOR_KEY.
+function openCursor(token) {
+  const raw = Buffer.from(String(token), "base64url");
+  if (raw.length < 29) return null;
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      CURSOR_KEY,
+      raw.subarray(0, 12)
+    );
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([
+      decipher.update(raw.subarray(28)),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// "after" holds BSON values (ObjectId, Date) and is carried as Extended JSON;
+// the rest of the payload is plain JSON so "$regex" filters survive intact.
+function encodeCursor(payload) {
+  const json = JSON.stringify(payload, function (key, value) {
+    return key === "after" && value != null
+      ? BSON.EJSON.serialize(this[key])
+      : value;
+  });
+  return sealCursor(json);
+}
+
+function decodeCursor(token, type) {
+  const json = openCursor(token);
+  if (json == null)
+    throw new InvalidCursorError("Cursor was not issued by this server");
+  const payload = JSON.parse(json, (key, value) =>
+    key === "after" && value != null ? BSON.EJSON.deserialize(value) : value
+  );
+  if (payload.type !== type) {
+    throw new InvalidCursorError(
+      `Cursor was issued for "${payload.type}", not "${type}"`
+    );
+  }
+  return payload;
+}
+
+// A caller's page size: missing means `fallback`, anything else must be an
+// integer and is clamped to [1, max]. `name` is the parameter in the error.
+function parseLimit(value, max, fallback = 10, name = "limit") {
+  if (value == null || value === "") return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit))
+    throw new RequestError(`${name} must be an integer`);
+  return Math.min(Math.max(limit, 1), max);
+}
+
+// Fetches one page of an already converted filter, ordered by `sort` with _id
+// as the final tie-breaker. Returns the documents and `next`, the sort
+// position of the last document (null when this was the last page). With
+// `pipeline`, the page is aggregated instead and those stages run between the
+// sort and the limit, so they can drop documents without breaking paging.
+async function findPage(
+  collectionName,
+  filter,
+  { limit, after, projection, sort, pipeline = null }
+) {
+  const { query, order } = pageQuery(filter, sort, after);
+  // An inclusion projection still has to return the sort fields for `next`
+  const added = Object.values(projection || {}).includes(1)
+    ? Object.keys(order).filter((f) => projection[f] !== 1)
+    : [];
+  const fields = added.length
+    ? { ...projection, ...Object.fromEntries(added.map((f) => [f, 1])) }
+    : projection;
+  const collection = db.collection(collectionName);
+  const docs = await (
+    pipeline
+      ? collection.aggregate([
+          { $match: query },
+          { $sort: order },
+          ...pipeline,
+          { $limit: limit + 1 },
+          ...(fields && Object.keys(fields).length
+            ? [{ $project: fields }]
+            : []),
+        ])
+      : collection
+          .find(query, { projection: fields })
+          .sort(order)
+          .limit(limit + 1)
+  ).toArray();
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.length = limit;
+  const last = docs[docs.length - 1];
+  const next = hasMore
+    ? Object.fromEntries(Object.keys(order).map((f) => [f, last[f] ?? null]))
+    : null;
+  if (added.length) {
+    for (const doc of docs) for (const f of added) delete doc[f];
+  }
+  return { docs, next };
+}
+
+// Counts the documents matching an already converted filter (and `pipeline`,
+// as in findPage), exactly up to COUNT_EXACT_LIMIT. Past that the count stops
+// early and is reported with totalExact=false; an unfiltered count of a large
+// collection uses the collection metadata instead. With a pipeline only the
+// first COUNT_SCAN_LIMIT documents matching `filter` go through it, since it
+// may $lookup for each of them; when there are more, the count is a lower
+// bound with totalExact=false. Returns { total, totalExact }.
+async function countMatches(collectionName, filter, pipeline = null) {
+  const collection = db.collection(collectionName);
+  let total;
+  if (pipeline) {
+    const [{ scanned, matched }] = await collection
+      .aggregate([
+        { $match: filter },
+        { $limit: COUNT_SCAN_LIMIT + 1 },
+        {
+          $facet: {
+            scanned: [{ $count: "total" }],
+            matched: [
+              { $limit: COUNT_SCAN_LIMIT },
+              ...pipeline,
+              { $count: "total" },
+            ],
+          },
+        },
+      ])
+      .toArray();
+    total = matched.length ? matched[0].total : 0;
+    if (scanned.length && scanned[0].total > COUNT_SCAN_LIMIT)
+      return { total, totalExact: false };
+  } else {
+    if (Object.keys(filter).length === 0) {
+      const estimate = await collection.estimatedDocumentCount();
+      if (estimate > COUNT_EXACT_LIMIT)
+        return { total: estimate, totalExact: false };
+    }
+    total = await collection.countDocuments(filter, {
+      limit: COUNT_EXACT_LIMIT + 1,
+    });
+  }
+  return total > COUNT_EXACT_LIMIT
+    ? { total: COUNT_EXACT_LIMIT, totalExact: false }
+    : { total, totalExact: true };
+}
+
+// The query and full sort order findPage runs for one page.
+function pageQuery(filter, sort, after) {
+  const order = { ...sort };
+  delete order._id;
+  order._id = sort && sort._id === -1 ? -1 : 1;
+  const query =
+    after != null ? { $and: [filter, keysetCondition(order, after)] } : filter;
+  return { query, order };
+}
+
+// Matches documents strictly after `after` in `order`. Missing values sort
+// before everything else, so they need explicit handling.
+function keysetCondition(order, after) {
+  const fields = Object.keys(order);
+  const branches = [];
+  fields.forEach((field, i) => {
+    const value = after[field];
+    let beyond;
+    if (value == null) {
+      if (order[field] === -1) return; // nothing sorts after null descending
+      beyond = { [field]: { $ne: null } };
+    } else if (order[field] === 1) {
+      beyond = { [field]: { $gt: value } };
+    } else {
+      beyond = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+    const equal = fields.slice(0, i).map((f) => ({ [f]: after[f] ?? null }));
+    branches.push(equal.length ? { $and: [...equal, beyond] } : beyond);
+  });
+  return { $or: branches };
+}
+
+// Resolves the raw filter and sort for one collection hint, either from a
+// cursor, from a clarification token (see "Ambiguous prompts") or by parsing
+// the prompt, in the context of `session` when given (see "Search
+// sessions"). An explicit `sort` overrides the parsed one. Filter and sort
+// are validated either way.
+async function resolveSearchFilter(
+  type,
+  { q, cursor, parser, cache, sort, clarification, alternative, session }
+) {
+  requireCollection(type);
+  if (clarification) {
+    const payload = decodeCursor(clarification, `clarify:${type}`);
+    const picked = pickAlternative(
+      resolveAlternatives(type, payload.alternatives),
+      alternative
+    );
+    return {
+      filter: picked.filter,
+      sort: normalizeSort(sort ?? picked.sort, type),
+      after: null,
+      parser: "clarification",
+      cacheHit: false,
+      raw: null,
+      usage: null,
+      prompt: payload.prompt,
+    };
+  }
+  if (cursor) {
+    const payload = decodeCursor(cursor, type);
+    validateFilter(payload.filter, type);
+    requireFilterCollections(payload.filter, type);
+    return {
+      filter: payload.filter,
+      sort: normalizeSort(payload.sort, type),
+      after: payload.after,
+      parser: "cursor",
+      cacheHit: false,
+      raw: null,
+      usage: null,
+      prompt: null,
+    };
+  }
+  let parsed = await parsePromptToMongoQuery(q, type, {
+    parser,
+    cache,
+    context: sessionContext(session),
+  });
+  if (parsed.alternatives) {
+    const alternatives = resolveAlternatives(type, parsed.alternatives);
+    if (alternative == null)
+      throw new NeedsClarification(type, q, alternatives);
+    const { alternatives: _, ...rest } = parsed;
+    parsed = { ...rest, ...pickAlternative(alternatives, alternative) };
+  }
+  console.log(
+    `[DEBUG] Filter generated for ${type}:`,
+    JSON.stringify(parsed.filter, null, 2)
+  );
+  validateFilter(parsed.filter, type);
+  requireFilterCollections(parsed.filter, type);
+  return {
+    ...parsed,
+    sort: normalizeSort(sort ?? parsed.sort, type),
+    after: null,
+    prompt: q,
+  };
+}
+
+// Same as resolveSearchFilter for /search/all; `sorts` holds optional
+// explicit sorts keyed by collection hint. Collections exhausted on an
+// earlier page, or outside the API key's scopes, resolve to null. When some
+// collections are ambiguous, `alternative` picks the same index in each of
+// them and the clarification token carries every collection's translation.
+async function resolveAllSearchFilters({
+  q,
+  cursor,
+  parser,
+  cache,
+  sorts,
+  clarification,
+  alternative,
+  session,
+}) {
+  const types = ["users", "events", "dating"].filter(mayAccessCollection);
+  const skipped = ["users", "events", "dating"]
+    .filter((type) => !types.includes(type))
+    .map((type) => [type, null]);
+  if (cursor) {
+    const { parts } = decodeCursor(cursor, "all");
+    return Object.fromEntries([
+      ...skipped,
+      ...types.map((type) => {
+        const part = parts[type];
+        if (!part) return [type, null];
+        validateFilter(part.filter, type);
+        requireFilterCollections(part.filter, type);
+        return [
+          type,
+          {
+            filter: part.filter,
+            sort: normalizeSort(part.sort, type),
+            after: part.after,
+            parser: "cursor",
+            cacheHit: false,
+            raw: null,
+            usage: null,
+            prompt: null,
+          },
+        ];
+      }),
+    ]);
+  }
+  let prompt = q;
+  let parsed;
+  if (clarification) {
+    const payload = decodeCursor(clarification, "clarify:all");
+    prompt = payload.prompt;
+    parsed = types.map((type) => {
+      const part = payload.alternatives[type];
+      return {
+        ...(Array.isArray(part)
+          ? { filter: null, sort: null, alternatives: part }
+          : part || { filter: NO_MATCH_FILTER, sort: null }),
+        parser: "clarification",
+        cacheHit: false,
+        raw: null,
+        usage: null,
+      };
+    });
+  } else {
+    const context = sessionContext(session);
+    parsed = await Promise.all(
+      types.map((type) =>
+        parsePromptToMongoQuery(q, type, { parser, cache, context })
+      )
+    );
+  }
+  const ambiguous = {};
+  types.forEach((type, i) => {
+    if (!parsed[i].alternatives) return;
+    ambiguous[type] = resolveAlternatives(type, parsed[i].alternatives);
+  });
+  if (Object.keys(ambiguous).length) {
+    if (alternative == null) {
+      // The token keeps the unambiguous translations too
+      throw new NeedsClarification(
+        "all",
+        prompt,
+        Object.fromEntries(
+          types.map((type, i) => [
+            type,
+            ambiguous[type] || {
+              filter: parsed[i].filter,
+              sort: parsed[i].sort,
+            },
+          ])
+        )
+      );
+    }
+    parsed = parsed.map((p, i) => {
+      if (!ambiguous[types[i]]) return p;
+      const { alternatives: _, ...rest } = p;
+      return { ...rest, ...pickAlternative(ambiguous[types[i]], alternative) };
+    });
+  }
+  console.log(
+    `[DEBUG] Filters generated:`,
+    Object.fromEntries(types.map((type, i) => [type, parsed[i].filter]))
+  );
+  return Object.fromEntries([
+    ...skipped,
+    ...types.map((type, i) => {
+      validateFilter(parsed[i].filter, type);
+      requireFilterCollections(parsed[i].filter, type);
+      const sort = normalizeSort((sorts || {})[type] ?? parsed[i].sort, type);
+      return [type, { ...parsed[i], sort, after: null, prompt }];
+    }),
+  ]);
+}
+
+function nextPageCursor(type, search, next) {
+  return next == null
+    ? null
+    : encodeCursor({
+        type,
+        filter: search.filter,
+        sort: search.sort,
+        after: next,
+      });
+}
+
+// Runs one resolved search (see resolveSearchFilter), including the users
+// foreign key path; an optional search.projection replaces the default one.
+// Returns { docs, next, total, totalExact }, plus `related` for foreign key
+// queries (see processForeignKeyQuery); total counts every match, not just
+// this page, and is null for a collection exhausted on an earlier
+// /search/all page. Each run is recorded in the audit log.
+async function findSearchPage(type, search, limit) {
+  if (!search) return { docs: [], next: null, total: null, totalExact: true };
+  const page = await runSearchPage(type, search, limit);
+  recordAudit({
+    collection: type,
+    prompt: search.prompt ?? null,
+    filter: search.filter,
+    sort: search.sort,
+    foreignKey: type === "users" && isForeignKeyFilter(search.filter),
+    parser: search.parser ?? "none",
+    cacheHit: search.cacheHit ?? false,
+    count: page.docs.length,
+    total: page.total,
+    usage: search.usage ?? null,
+  });
+  return page;
+}
+
+async function runSearchPage(type, search, limit) {
+  const { filter, sort, after, projection } = search;
+  if (type === "users" && isForeignKeyFilter(filter)) {
+    console.log(
+      `[DEBUG] Processing foreign key query:`,
+      JSON.stringify(filter)
+    );
+    const { results, next, total, totalExact, related } =
+      await processForeignKeyQuery(filter, limit, after, sort, projection);
+    return { docs: results, next, total, totalExact, related };
+  }
+  const converted = matchReferenceIds(
+    convertDateFromString(filter),
+    COLLECTION_BY_TYPE[type]
+  );
+  const [page, counted] = await Promise.all([
+    findPage(COLLECTION_BY_TYPE[type], converted, {
+      limit,
+      after,
+      projection: projection ?? (type === "users" ? redactionProjection() : {}),
+      sort,
+    }),
+    countMatches(COLLECTION_BY_TYPE[type], converted),
+  ]);
+  const docs = type === "users" ? page.docs.map(hideSensitive) : page.docs;
+  return { docs, next: page.next, ...counted };
+}
+
+// References and _ids are ObjectIds (references maybe their hex strings), but
+// a parsed filter can only hold strings, e.g. the ids a session follow-up
+// pivots on. Hex strings compared against `_id` or a reference field of
+// `collection` match both forms; the rest of the (converted) filter is
+// unchanged.
+function matchReferenceIds(filter, collection) {
+  const fields = new Set([
+    "_id",
+    ...relationshipsFrom(collection).map((rel) => rel.field),
+  ]);
+  const isHex = (v) => typeof v === "string" && /^[0-9a-f]{24}$/i.test(v);
+  const both = (values) =>
+    values.flatMap((v) => (isHex(v) ? [new ObjectId(v), v] : [v]));
+  const convert = (node) => {
+    if (!isPlainObject(node)) return node;
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (LOGICAL_OPERATORS.has(key) && Array.isArray(value)) {
+        out[key] = value.map(convert);
+      } else if (!fields.has(key)) {
+        out[key] = value;
+      } else if (isHex(value)) {
+        out[key] = { $in: both([value]) };
+      } else if (isPlainObject(value)) {
+        const ops = {};
+        for (const [op, operand] of Object.entries(value)) {
+          if (op === "$eq" && isHex(operand)) ops.$in = both([operand]);
+          else if (op === "$ne" && isHex(operand)) ops.$nin = both([operand]);
+          else if ((op === "$in" || op === "$nin") && Array.isArray(operand))
+            ops[op] = both(operand);
+          else ops[op] = operand;
+        }
+        out[key] = ops;
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  };
+  return convert(filter);
+}
+
+// Picks one attribute per collection from resolveAllSearchFilters' result,
+// e.g. mapSearches(searches, (s) => s.parser) for the response summary.
+function mapSearches(searches, pick) {
+  return {
+    users: searches.users ? pick(searches.users) : null,
+    events: searches.events ? pick(searches.events) : null,
+    dating: searches.dating ? pick(searches.dating) : null,
+  };
+}
+
+// Per-collection entry of a /search/all response.
+function pageSummary(page, data) {
+  return {
+    count: data.length,
+    total: page.total,
+    totalExact: page.totalExact,
+    related: page.related,
+    data,
+  };
+}
+
+// Combined cursor for /search/all; null once every collection is exhausted.
+function allPagesCursor(searches, next) {
+  const parts = {};
+  for (const type of ["users", "events", "dating"]) {
+    parts[type] =
+      next[type] == null
+        ? null
+        : {
+            filter: searches[type].filter,
+            sort: searches[type].sort,
+            after: next[type],
+          };
+  }
+  return Object.values(parts).some(Boolean)
+    ? encodeCursor({ type: "all", parts })
+    : null;
+}
+
+// ----- Foreign Key Query Processor -----
+// Foreign key queries run as one aggregation on users: the user-side filter
+// and sort select candidate users (using the users indexes), then each
+// relation term $lookups at most one matching related document per reference
+// field, and a $match evaluates the $and/$or/$not combination. Nothing is
+// collected in Node and paging stops as soon as a page is full. The lookups
+// use localField/foreignField with a pipeline, which needs MongoDB 5.0+, and
+// expect references stored as ObjectIds.
+
+// The { __foreign_key_query, __criteria } terms of a relation, in order.
+function relationTerms(node) {
+  if ("__foreign_key_query" in node) return [node];
+  if (node.$not) return relationTerms(node.$not);
+  return (node.$and || node.$or).flatMap(relationTerms);
+}
+
+// Pipeline stages keeping the users that satisfy a (date-converted) relation.
+function relationStages(relation) {
+  const lookups = [];
+  const conditions = relationTerms(relation).map((term, i) => {
+    const collection = COLLECTION_BY_TYPE[term.__foreign_key_query];
+    return {
+      $or: relationshipsFrom(collection, "users").map((rel, j) => {
+        const as = `__rel_${i}_${j}`;
+        lookups.push({
+          $lookup: {
+            from: collection,
+            localField: "_id",
+            foreignField: rel.field,
+            pipeline: [
+              { $match: term.__criteria },
+              { $limit: 1 },
+              { $project: { _id: 1 } },
+            ],
+            as,
+          },
+        });
+        return { [`${as}.0`]: { $exists: true } };
+      }),
+    };
+  });
+  let term = 0;
+  const build = (node) => {
+    if ("__foreign_key_query" in node) return conditions[term++];
+    if (node.$not) return { $nor: [build(node.$not)] };
+    return node.$and
+      ? { $and: node.$and.map(build) }
+      : { $or: node.$or.map(build) };
+  };
+  return [
+    ...lookups,
+    { $match: build(relation) },
+    { $unset: lookups.map((stage) => stage.$lookup.as) },
+  ];
+}
+
+// Runs a users foreign key filter (see validateFilter). Returns
+// { count, results, next, total, totalExact, related }; users are ordered by
+// `sort`, `next` is the position to resume after when more users remain (see
+// findPage), `total` is the number of distinct matching users and `related`
+// has the number of related documents matching each term's criteria.
+async function processForeignKeyQuery(
+  filter,
+  limit = 10,
+  after = null,
+  sort = null,
+  projection = null
+) {
+  const l = parseLimit(limit, 100);
+  const {
+    __user_filter: userFilter,
+    __relations,
+    ...relation
+  } = convertDateFromString(filter);
+  const relations = __relations ?? relation;
+  const pipeline = relationStages(relations);
+  const base = matchReferenceIds(userFilter || {}, "users");
+
+  const [{ docs: users, next }, counted, related] = await Promise.all([
+    findPage("users", base, {
+      limit: l,
+      after,
+      projection: projection ?? redactionProjection(),
+      sort,
+      pipeline,
+    }),
+    countMatches("users", base, pipeline),
+    Promise.all(
+      relationTerms(relations).map(async (term) => {
+        const collection = COLLECTION_BY_TYPE[term.__foreign_key_query];
+        return {
+          collection,
+          ...(await countMatches(collection, term.__criteria)),
+        };
+      })
+    ),
+  ]);
+
+  const safe = users.map(hideSensitive);
+  return { count: safe.length, results: safe, next, ...counted, related };
+}
+
+// ----- Explain -----
+// Dry run of a resolved search for POST /search/:collection/explain and the
+// MCP tools' explain flag: shows how the prompt was translated and how
+// MongoDB would run the query, without fetching documents. Foreign key
+// queries explain their aggregation (see processForeignKeyQuery), including
+// the pipeline itself.
+function collectPlanStages(node, stages = []) {
+  if (!node) return stages;
+  if (node.stage) stages.push({ stage: node.stage, indexName: node.indexName });
+  collectPlanStages(node.queryPlan, stages);
+  collectPlanStages(node.inputStage, stages);
+  for (const child of node.inputStages || []) collectPlanStages(child, stages);
+  return stages;
+}
+
+function summarizePlan(queryPlanner) {
+  const stages = collectPlanStages(queryPlanner && queryPlanner.winningPlan);
+  return {
+    stages: stages.map((s) => s.stage),
+    indexes: Array.from(
+      new Set(stages.map((s) => s.indexName).filter(Boolean))
+    ),
+    collectionScan: stages.some((s) => s.stage === "COLLSCAN"),
+  };
+}
+
+async function explainSearch(type, search, limit) {
+  if (!search) return null;
+  const { filter, sort } = search;
+  // A cursor's position may hold users values the caller only sees redacted,
+  // and the query planner output would show them; explain without it.
+  const after =
+    type === "users" &&
+    Object.keys(sort || {}).some((field) => field in redactionPolicy())
+      ? null
+      : search.after;
+  const converted = matchReferenceIds(
+    convertDateFromString(filter),
+    COLLECTION_BY_TYPE[type]
+  );
+  const collection = db.collection(COLLECTION_BY_TYPE[type]);
+  let foreignKey = null;
+  let explained;
+  if (type === "users" && isForeignKeyFilter(filter)) {
+    const { __user_filter: userFilter, __relations, ...relation } = converted;
+    const pipeline = relationStages(__relations ?? relation);
+    const { query, order } = pageQuery(
+      matchReferenceIds(userFilter || {}, "users"),
+      sort,
+      after
+    );
+    foreignKey = {
+      relations: __relations ?? relation,
+      userFilter: userFilter ?? null,
+      pipeline,
+    };
+    explained = await collection
+      .aggregate([
+        { $match: query },
+        { $sort: order },
+        ...pipeline,
+        { $limit: limit },
+      ])
+      .explain("queryPlanner");
+  } else {
+    const { query, order } = pageQuery(converted, sort, after);
+    explained = await collection
+      .find(query)
+      .sort(order)
+      .limit(limit)
+      .explain("queryPlanner");
+  }
+  // Aggregations that aren't pushed down entirely report the plan of their
+  // initial $cursor stage
+  const queryPlanner =
+    explained.queryPlanner ??
+    (explained.stages || []).find((stage) => stage.$cursor)?.$cursor
+      .queryPlanner;
+  return {
+    collection: COLLECTION_BY_TYPE[type],
+    parser: search.parser,
+    cacheHit: search.cacheHit,
+    raw: search.raw,
+    filter,
+    sort,
+    convertedFilter: converted,
+    foreignKey,
+    plan: summarizePlan(queryPlanner),
+    queryPlanner,
+  };
+}
+
+// ----- Relationships -----
+// Reference fields between collections: `field` on a `from` document holds
+// the _id of a `to` document (an array of them when `many`). Population
+// attaches the referenced documents under `as`, and a users foreign key query
+// on a collection hint follows every relationship from that collection to
+// users. Adding a collection only needs an entry here plus its
+// COLLECTION_BY_TYPE and FILTER_ALLOWLIST entries.
+// `onDelete` decides what deleting a `to` document does to documents that
+// still reference it: "restrict" refuses the delete, "cascade" deletes them,
+// "pull" removes the id from a `many` array and "set-null" clears a single
+// reference. ON_DELETE overrides it, e.g. "datings.Male_id=cascade".
+const RELATIONSHIPS = [
+  {
+    from: "events",
+    field: "participant_ids",
+    to: "users",
+    many: true,
+    as: "participants",
+    onDelete: "pull",
+  },
+  {
+    from: "datings",
+    field: "Male_id",
+    to: "users",
+    many: false,
+    as: "Male",
+    onDelete: "restrict",
+  },
+  {
+    from: "datings",
+    field: "Female_id",
+    to: "users",
+    many: false,
+    as: "Female",
+    onDelete: "restrict",
+  },
+];
+applyOnDeleteOverrides(process.env.ON_DELETE);
+
+function applyOnDeleteOverrides(spec) {
+  for (const entry of String(spec || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [key, policy] = entry.split("=").map((part) => part.trim());
+    const rel = RELATIONSHIPS.find((r) => `${r.from}.${r.field}` === key);
+    if (!rel) throw new Error(`ON_DELETE: unknown relationship "${key}"`);
+    const allowed = ["restrict", "cascade", rel.many ? "pull" : "set-null"];
+    if (!allowed.includes(policy)) {
+      throw new Error(
+        `ON_DELETE: ${key} accepts ${allowed.join(", ")}, not "${policy}"`
+      );
+    }
+    rel.onDelete = policy;
+  }
+}
+
+function relationshipsFrom(collection, to = null) {
+  return RELATIONSHIPS.filter(
+    (rel) => rel.from === collection && (to === null || rel.to === to)
+  );
+}
+
+// Collection hints that can appear in __foreign_key_query.
+function foreignKeyTypes() {
+  return Object.keys(COLLECTION_BY_TYPE).filter(
+    (type) => relationshipsFrom(COLLECTION_BY_TYPE[type], "users").length
+  );
+}
+
+function referencedIds(doc, rel) {
+  const value = doc[rel.field];
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Dedupes ids by their string form; hex strings become ObjectIds.
+function uniqueIds(ids) {
+  const byKey = new Map(ids.map((id) => [id.toString(), id]));
+  return Array.from(byKey.values()).map((id) =>
+    typeof id === "string" && /^[0-9a-f]{24}$/i.test(id) ? new ObjectId(id) : id
+  );
+}
+
+// Fetches documents of `collection` by _id with the usual PII handling for
+// users, keyed by the _id's string form.
+async function findByIds(collection, ids) {
+  const unique = uniqueIds(ids);
+  if (!unique.length) return new Map();
+  const docs = await db
+    .collection(collection)
+    .find(
+      { _id: { $in: unique } },
+      {
+        projection: collection === "users" ? redactionProjection() : {},
+      }
+    )
+    .toArray();
+  return new Map(
+    docs.map((d) => [
+      d._id.toString(),
+      collection === "users" ? hideSensitive(d) : d,
+    ])
+  );
+}
+
+// Returns copies of `docs` (results for a collection hint) with every
+// relationship populated. Missing references stay as { _id } in arrays and
+// become null for single references.
+async function populateResults(type, docs) {
+  // References into collections outside the API key's scopes stay as ids
+  const rels = relationshipsFrom(COLLECTION_BY_TYPE[type]).filter((rel) =>
+    mayAccessCollection(collectionType(rel.to))
+  );
+  if (!docs.length || !rels.length) return docs;
+  const targets = Array.from(new Set(rels.map((rel) => rel.to)));
+  const found = new Map(
+    await Promise.all(
+      targets.map(async (to) => [
+        to,
+        await findByIds(
+          to,
+          docs.flatMap((doc) =>
+            rels
+              .filter((rel) => rel.to === to)
+              .flatMap((rel) => referencedIds(doc, rel))
+          )
+        ),
+      ])
+    )
+  );
+  return docs.map((doc) => {
+    const out = { ...doc };
+    for (const rel of rels) {
+      const byId = found.get(rel.to);
+      out[rel.as] = rel.many
+        ? referencedIds(doc, rel).map(
+            (id) => byId.get(id.toString()) || { _id: id }
+          )
+        : doc[rel.field] != null
+          ? byId.get(doc[rel.field].toString()) || null
+          : null;
+    }
+    return out;
+  });
+}
+
+// Reverse population walks the same relationships backwards, e.g. a user's
+// events (participant_ids contains the user) and datings (Male_id or
+// Female_id). Each related hint is fetched with one aggregation for the whole
+// page whose $lookup takes at most `limit` (populateOptions.<hint>.limit)
+// newest documents per user and reference field, optionally within a from/to
+// window on the hint's date field; the lists are then merged per user and
+// cut to `limit` again, so at most that many documents per user leave MongoDB.
+const REVERSE_POPULATE_LIMIT = 5;
+const MAX_REVERSE_POPULATE_LIMIT = 50;
+
+// Collection hints with a relationship pointing at `type`'s collection.
+function reverseTypes(type) {
+  return Object.keys(COLLECTION_BY_TYPE).filter(
+    (hint) =>
+      relationshipsFrom(COLLECTION_BY_TYPE[hint], COLLECTION_BY_TYPE[type])
+        .length
+  );
+}
+
+// Parses populate=events,dating (or an array); "true"/"false" mean nothing
+// to reverse-populate.
+function parseReversePopulate(populate, type) {
+  if (populate == null || [true, false, "true", "false"].includes(populate))
+    return [];
+  const names = Array.isArray(populate)
+    ? populate
+    : String(populate).split(",");
+  const valid = reverseTypes(type);
+  const out = [];
+  for (const raw of names) {
+    const name = String(raw).trim();
+    if (!name || out.includes(name)) continue;
+    if (!valid.includes(name)) {
+      throw new RequestError(
+        `Cannot populate "${name}" on ${type}; use ${valid.join(", ")}`
+      );
+    }
+    requireCollection(name);
+    out.push(name);
+  }
+  return out;
+}
+
+function reversePopulateOptions(hint, options) {
+  if (options == null) options = {};
+  if (!isPlainObject(options))
+    throw new RequestError(`populateOptions.${hint} must be an object`);
+  const limit = parseLimit(
+    options.limit,
+    MAX_REVERSE_POPULATE_LIMIT,
+    REVERSE_POPULATE_LIMIT,
+    `populateOptions.${hint}.limit`
+  );
+  const dateField = RULE_FIELDS[hint].date;
+  const window = {};
+  for (const [key, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (options[key] == null) continue;
+    const date = new Date(options[key]);
+    if (Number.isNaN(date.getTime()))
+      throw new RequestError(`populateOptions.${hint}.${key} must be a date`);
+    window[op] = date;
+  }
+  return {
+    limit,
+    filter: Object.keys(window).length ? { [dateField]: window } : {},
+    sort: { [dateField]: -1, _id: -1 },
+  };
+}
+
+// Returns copies of `docs` with one array per requested hint (see
+// parseReversePopulate), e.g. user.events and user.dating.
+async function populateReverse(type, docs, populate, populateOptions) {
+  if (!docs.length || !populate.length) return docs;
+  if (populateOptions != null && !isPlainObject(populateOptions))
+    throw new RequestError("populateOptions must be an object");
+  const collection = COLLECTION_BY_TYPE[type];
+  const attached = await Promise.all(
+    populate.map(async (hint) => {
+      const from = COLLECTION_BY_TYPE[hint];
+      const rels = relationshipsFrom(from, collection);
+      const { limit, filter, sort } = reversePopulateOptions(
+        hint,
+        (populateOptions || {})[hint]
+      );
+      const rows = await db
+        .collection(collection)
+        .aggregate([
+          { $match: { _id: { $in: docs.map((d) => d._id) } } },
+          // References may be stored as ObjectIds or as their hex strings
+          { $project: { __refs: ["$_id", { $toString: "$_id" }] } },
+          ...rels.map((rel, i) => ({
+            $lookup: {
+              from,
+              localField: "__refs",
+              foreignField: rel.field,
+              pipeline: [
+                { $match: filter },
+                { $sort: sort },
+                { $limit: limit },
+              ],
+              as: `__rel_${i}`,
+            },
+          })),
+          {
+            $project: {
+              related: { $concatArrays: rels.map((_, i) => `$__rel_${i}`) },
+            },
+          },
+          { $unwind: "$related" },
+          // A dating can reference the same user as Male_id and Female_id
+          {
+            $group: {
+              _id: { owner: "$_id", doc: "$related._id" },
+              related: { $first: "$related" },
+            },
+          },
+          {
+            $sort: Object.fromEntries(
+              Object.entries(sort).map(([field, dir]) => [
+                `related.${field}`,
+                dir,
+              ])
+            ),
+          },
+          { $group: { _id: "$_id.owner", related: { $push: "$related" } } },
+          { $project: { related: { $slice: ["$related", limit] } } },
+        ])
+        .toArray();
+      return [
+        hint,
+        new Map(rows.map((row) => [row._id.toString(), row.related])),
+      ];
+    })
+  );
+  return docs.map((doc) => {
+    const out = { ...doc };
+    for (const [hint, byId] of attached)
+      out[hint] = byId.get(doc._id.toString()) || [];
+    return out;
+  });
+}
+
+// ----- Referential integrity -----
+// Scans every relationship for references that are malformed (not an
+// ObjectId or its 24-digit hex string) or dangling (no such document), and
+// datings for self-referencing or same-gender pairs. Used by
+// `node index.js integrity check [--fix]` and GET /admin/integrity. With fix,
+// bad references are moved under `__quarantined.<field>` on their document
+// and bad dating pairs are moved to the `datings_quarantine` collection.
+const INTEGRITY_BATCH_SIZE = 500;
+
+function isObjectIdLike(value) {
+  return (
+    value instanceof ObjectId ||
+    (typeof value === "string" && /^[0-9a-f]{24}$/i.test(value))
+  );
+}
+
+async function quarantineReference(rel, docId, value) {
+  const update = rel.many
+    ? {
+        $pull: { [rel.field]: value },
+        $push: { [`__quarantined.${rel.field}`]: value },
+      }
+    : {
+        $unset: { [rel.field]: "" },
+        $set: { [`__quarantined.${rel.field}`]: value },
+      };
+  await db.collection(rel.from).updateOne({ _id: docId }, update);
+}
+
+async function quarantineDocument(collection, doc, reason) {
+  await db
+    .collection(`${collection}_quarantine`)
+    .insertOne({ ...doc, __quarantine: { reason, at: new Date() } });
+  await db.collection(collection).deleteOne({ _id: doc._id });
+}
+
+async function scanRelationship(rel, onIssue) {
+  const cursor = db
+    .collection(rel.from)
+    .find(
+      { [rel.field]: { $exists: true, $ne: null } },
+      { projection: { [rel.field]: 1 } }
+    );
+  let batch = [];
+  const flush = async () => {
+    const found = new Set(
+      (
+        await db
+          .collection(rel.to)
+          .find(
+            { _id: { $in: uniqueIds(batch.map((ref) => ref.value)) } },
+            { projection: { _id: 1 } }
+          )
+          .toArray()
+      ).map((d) => d._id.toString())
+    );
+    for (const ref of batch) {
+      if (!found.has(ref.value.toString()))
+        await onIssue({ type: "dangling", ...ref }, rel);
+    }
+    batch = [];
+  };
+  for await (const doc of cursor) {
+    for (const value of referencedIds(doc, rel)) {
+      const ref = {
+        collection: rel.from,
+        _id: doc._id,
+        field: rel.field,
+        value,
+      };
+      if (isObjectIdLike(value)) batch.push(ref);
+      else await onIssue({ type: "malformed", ...ref }, rel);
+    }
+    if (batch.length >= INTEGRITY_BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+}
+
+async function scanDatingPairs(onIssue) {
+  const cursor = db
+    .collection("datings")
+    .find({ Male_id: { $ne: null }, Female_id: { $ne: null } });
+  let batch = [];
+  const flush = async () => {
+    const users = await findByIds(
+      "users",
+      batch
+        .flatMap((d) => [d.Male_id, d.Female_id])
+        .filter((id) => isObjectIdLike(id))
+    );
+    for (const dating of batch) {
+      const gender = (id) =>
+        String((users.get(id.toString()) || {}).Gender || "").toLowerCase();
+      const issue = {
+        collection: "datings",
+        _id: dating._id,
+        Male_id: dating.Male_id,
+        Female_id: dating.Female_id,
+      };
+      if (dating.Male_id.toString() === dating.Female_id.toString()) {
+        await onIssue({ type: "self_reference", ...issue }, null, dating);
+      } else if (
+        gender(dating.Male_id) &&
+        gender(dating.Male_id) === gender(dating.Female_id)
+      ) {
+        await onIssue(
+          { type: "same_gender", ...issue, gender: gender(dating.Male_id) },
+          null,
+          dating
+        );
+      }
+    }
+    batch = [];
+  };
+  for await (const dating of cursor) {
+    batch.push(dating);
+    if (batch.length >= INTEGRITY_BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+}
+
+// Returns { checkedAt, fixed, counts, issues, truncated }; counts cover every
+// issue while `issues` lists at most maxIssues of them.
+async function checkIntegrity({ fix = false, maxIssues = 100 } = {}) {
+  const report = {
+    checkedAt: new Date(),
+    fixed: 0,
+    counts: { dangling: 0, malformed: 0, self_reference: 0, same_gender: 0 },
+    issues: [],
+    truncated: false,
+  };
+  const onIssue = async (issue, rel, doc) => {
+    report.counts[issue.type]++;
+    if (report.issues.length < maxIssues) report.issues.push(issue);
+    else report.truncated = true;
+    if (!fix) return;
+    if (rel) await quarantineReference(rel, issue._id, issue.value);
+    else await quarantineDocument(issue.collection, doc, issue.type);
+    report.fixed++;
+  };
+  // Pairs first, so quarantined datings aren't also reported per reference
+  await scanDatingPairs(onIssue);
+  for (const rel of RELATIONSHIPS) await scanRelationship(rel, onIssue);
+  return report;
+}
+
+// ----- Writes -----
+// POST /data/:collection, PATCH /data/:collection/:id and
+// DELETE /data/:collection/:id. Documents may only set allowlisted fields
+// (plus email on users), date fields accept ISO strings, and reference
+// fields (see RELATIONSHIPS) accept ObjectIds or their hex strings, stored
+// as ObjectIds and required to point at existing documents. Every write
+// runs in a transaction, so MongoDB must be a replica set (or mongos).
+const EXTRA_WRITABLE_FIELDS = { users: ["email"] };
+
+class ForeignKeyError extends RequestError {
+  constructor(message, details, status = 400) {
+    super(message, status);
+    this.name = "ForeignKeyError";
+    this.details = details;
+  }
+
+  toResponse() {
+    return { error: this.message, ...this.details };
+  }
+}
+
+function parseDocumentId(id) {
+  if (!isObjectIdLike(id)) throw new RequestError(`Invalid id "${id}"`);
+  return new ObjectId(String(id));
+}
+
+function coerceReference(rel, value) {
+  if (!isObjectIdLike(value)) {
+    throw new ForeignKeyError(`Invalid ${rel.to} id in ${rel.field}`, {
+      field: rel.field,
+      ids: [value],
+    });
+  }
+  return new ObjectId(String(value));
+}
+
+// Validates a create or update body for a collection hint and returns the
+// fields to write, references and dates coerced.
+function prepareWrite(type, body) {
+  const collection = COLLECTION_BY_TYPE[type];
+  if (!isPlainObject(body) || Object.keys(body).length === 0)
+    throw new RequestError("Document must be a non-empty JSON object");
+  const dateField = RULE_FIELDS[type].date;
+  const doc = {};
+  for (const [field, value] of Object.entries(body)) {
+    if (
+      field === "_id" ||
+      field.startsWith("$") ||
+      field.includes(".") ||
+      !(
+        isAllowedField(collection, field) ||
+        (EXTRA_WRITABLE_FIELDS[collection] || []).includes(field)
+      )
+    ) {
+      throw new RequestError(`Field "${field}" cannot be written on ${type}`);
+    }
+    const rel = relationshipsFrom(collection).find((r) => r.field === field);
+    if (rel && rel.many) {
+      if (!Array.isArray(value))
+        throw new RequestError(`${field} must be an array of ids`);
+      doc[field] = uniqueIds(value.map((id) => coerceReference(rel, id)));
+    } else if (rel) {
+      doc[field] = value == null ? null : coerceReference(rel, value);
+    } else if (field === dateField && value != null) {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime()))
+        throw new RequestError(`${field} must be a date`);
+      doc[field] = date;
+    } else {
+      doc[field] = value;
+    }
+  }
+  return doc;
+}
+
+// Throws ForeignKeyError listing references in `doc` to missing documents.
+async function checkReferences(collection, doc, session) {
+  for (const rel of relationshipsFrom(collection)) {
+    if (doc[rel.field] == null) continue;
+    const ids = referencedIds(doc, rel);
+    const found = new Set(
+      (
+        await db
+          .collection(rel.to)
+          .find({ _id: { $in: ids } }, { projection: { _id: 1 }, session })
+          .toArray()
+      ).map((d) => d._id.toString())
+    );
+    const missing = ids.filter((id) => !found.has(id.toString()));
+    if (missing.length) {
+      throw new ForeignKeyError(
+        `Unknown ${rel.to} referenced by ${rel.field}`,
+        {
+          field: rel.field,
+          ids: missing,
+        }
+      );
+    }
+  }
+}
+
+async function inTransaction(fn) {
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function createDocument(type, body) {
+  const collection = COLLECTION_BY_TYPE[type];
+  const doc = prepareWrite(type, body);
+  return inTransaction(async (session) => {
+    await checkReferences(collection, doc, session);
+    const { insertedId } = await db
+      .collection(collection)
+      .insertOne(doc, { session });
+    return { ...doc, _id: insertedId };
+  });
+}
+
+async function updateDocument(type, id, body) {
+  const collection = COLLECTION_BY_TYPE[type];
+  const _id = parseDocumentId(id);
+  const changes = prepareWrite(type, body);
+  return inTransaction(async (session) => {
+    await checkReferences(collection, changes, session);
+    const updated = await db
+      .collection(collection)
+      .findOneAndUpdate(
+        { _id },
+        { $set: changes },
+        { returnDocument: "after", session }
+      );
+    if (!updated) throw new RequestError(`No ${type} with id ${id}`, 404);
+    return updated;
+  });
+}
+
+// Deletes one document and applies the onDelete policy of every relationship
+// pointing at its collection, cascading recursively. Appends what happened to
+// `effects` as { collection, field, policy, count }.
+async function deleteWithPolicies(collection, _id, session, effects) {
+  const inbound = RELATIONSHIPS.filter((rel) => rel.to === collection);
+  // References may be stored as ObjectIds or as their hex strings
+  const refs = [_id, _id.toString()];
+  for (const rel of inbound.filter((r) => r.onDelete === "restrict")) {
+    const referencing = await db
+      .collection(rel.from)
+      .find(
+        { [rel.field]: { $in: refs } },
+        { projection: { _id: 1 }, limit: 10, session }
+      )
+      .toArray();
+    if (referencing.length) {
+      throw new ForeignKeyError(
+        `Cannot delete: still referenced by ${rel.from}.${rel.field}`,
+        {
+          field: `${rel.from}.${rel.field}`,
+          ids: referencing.map((d) => d._id),
+        },
+        409
+      );
+    }
+  }
+  for (const rel of inbound.filter((r) => r.onDelete !== "restrict")) {
+    const query = { [rel.field]: { $in: refs } };
+    let count;
+    if (rel.onDelete === "cascade") {
+      const referencing = await db
+        .collection(rel.from)
+        .find(query, { projection: { _id: 1 }, session })
+        .toArray();
+      for (const doc of referencing)
+        await deleteWithPolicies(rel.from, doc._id, session, effects);
+      count = referencing.length;
+    } else {
+      const update =
+        rel.onDelete === "pull"
+          ? { $pull: { [rel.field]: { $in: refs } } }
+          : { $set: { [rel.field]: null } };
+      ({ modifiedCount: count } = await db
+        .collection(rel.from)
+        .updateMany(query, update, { session }));
+    }
+    if (count) {
+      effects.push({
+        collection: rel.from,
+        field: rel.field,
+        policy: rel.onDelete,
+        count,
+      });
+    }
+  }
+  const { deletedCount } = await db
+    .collection(collection)
+    .deleteOne({ _id }, { session });
+  return deletedCount;
+}
+
+async function deleteDocument(type, id) {
+  const collection = COLLECTION_BY_TYPE[type];
+  const _id = parseDocumentId(id);
+  return inTransaction(async (session) => {
+    const effects = [];
+    const exists = await db
+      .collection(collection)
+      .countDocuments({ _id }, { limit: 1, session });
+    if (!exists) throw new RequestError(`No ${type} with id ${id}`, 404);
+    await deleteWithPolicies(collection, _id, session, effects);
+    return { deleted: _id, effects };
+  });
+}
+
+// ----- Structured queries -----
+// POST /query/:collection and the query_collection MCP tool take a JSON
+// filter instead of English. The filter and sort go through the same
+// validation as parsed ones and the foreign key format works for users.
+// Cursors carry the caller's projection too, so they are issued per
+// collection as "query:<type>" and can't be mixed with /search/* cursors.
+
+// Validates the caller's projection and returns it with 0/1 values (null
+// when there is none). The fields hidden from the caller's role are added
+// by withHiddenFields, after validation, since they aren't allowlisted.
+function normalizeProjection(projection, type) {
+  const collection = COLLECTION_BY_TYPE[type];
+  if (projection == null) return null;
+  const reject = (message, key) => {
+    throw new FilterValidationError(message, {
+      collection,
+      key,
+      path: key ? `projection.${key}` : "projection",
+    });
+  };
+  if (!isPlainObject(projection)) reject("Projection must be an object", null);
+  const out = {};
+  for (const [field, value] of Object.entries(projection)) {
+    if (field.includes(".") || !isAllowedField(collection, field))
+      reject(`Cannot project ${collection} field "${field}"`, field);
+    if (![0, 1, true, false].includes(value))
+      reject(`Projection for "${field}" must be 0 or 1`, field);
+    out[field] = Number(value);
+  }
+  const modes = new Set(
+    Object.entries(out)
+      .filter(([field]) => field !== "_id")
+      .map(([, value]) => value)
+  );
+  if (modes.size > 1)
+    reject("Projection cannot mix included and excluded fields", null);
+  return out;
+}
+
+// The projection actually run for a (normalized) caller projection.
+function withHiddenFields(projection, type) {
+  const hidden = type === "users" ? redactionProjection() : {};
+  if (projection == null) return hidden;
+  // email is never allowlisted, so an inclusion projection already omits it
+  const includes = Object.entries(projection).some(
+    ([field, value]) => field !== "_id" && value === 1
+  );
+  return includes ? projection : { ...projection, ...hidden };
+}
+
+// Resolves a structured query body into the same shape as
+// resolveSearchFilter, plus the projection to run and `requested`, the
+// caller's own projection that the cursor carries.
+function resolveStructuredQuery(type, { filter, projection, sort, cursor }) {
+  if (cursor) {
+    const payload = decodeCursor(cursor, `query:${type}`);
+    validateFilter(payload.filter, type);
+    const requested = normalizeProjection(payload.projection, type);
+    return {
+      filter: payload.filter,
+      sort: normalizeSort(payload.sort, type),
+      projection: withHiddenFields(requested, type),
+      requested,
+      after: payload.after,
+    };
+  }
+  const raw = filter ?? {};
+  if (!isPlainObject(raw)) {
+    throw new FilterValidationError("Filter must be an object", {
+      collection: COLLECTION_BY_TYPE[type],
+      key: null,
+      path: "",
+    });
+  }
+  validateFilter(raw, type);
+  const requested = normalizeProjection(projection, type);
+  return {
+    filter: raw,
+    sort: normalizeSort(sort, type),
+    projection: withHiddenFields(requested, type),
+    requested,
+    after: null,
+  };
+}
+
+function nextQueryCursor(type, query, next) {
+  return next == null
+    ? null
+    : encodeCursor({
+        type: `query:${type}`,
+        filter: query.filter,
+        sort: query.sort,
+        projection: query.requested,
+        after: next,
+      });
+}
+
+// Runs a structured query and returns the response payload shared by
+// POST /query/:collection and query_collection.
+async function runStructuredQuery(type, body) {
+  if (!COLLECTION_BY_TYPE[type]) {
+    throw new RequestError(
+      `Unknown collection "${type}"; use users, events or dating`,
+      404
+    );
+  }
+  requireCollection(type);
+  const { limit = 10, populate = true } = body;
+  const l = parseLimit(limit, 100);
+  const query = resolveStructuredQuery(type, body);
+  requireFilterCollections(query.filter, type);
+  const page = await findSearchPage(type, query, l);
+  const docs = populate ? await populateResults(type, page.docs) : page.docs;
+  return {
+    count: docs.length,
+    total: page.total,
+    totalExact: page.totalExact,
+    related: page.related,
+    results: docs,
+    nextCursor: nextQueryCursor(type, query, page.next),
+    query: query.filter,
+    sort: query.sort,
+    projection: query.projection,
+  };
+}
+
+// ----- Analytics -----
+// POST /analytics and the analyze MCP tool answer aggregate questions. The
+// LLM (or the caller) provides { collection, pipeline }; the pipeline may only
+// use the stages and expressions listed in ANALYTICS_PROMPT, field names are
+// checked against the allowlists (and the looked-up relation's allowlist
+// after a $lookup), and the server caps the row count and run time.
+const ANALYTICS_MAX_STAGES = 10;
+const ANALYTICS_MAX_ROWS = 1000;
+const ANALYTICS_MAX_TIME_MS = Number(
+  process.env.ANALYTICS_MAX_TIME_MS || 10000
+);
+const ANALYTICS_ACCUMULATORS = new Set([
+  "$sum",
+  "$avg",
+  "$min",
+  "$max",
+  "$first",
+  "$last",
+  "$addToSet",
+]);
+// Accumulators that summarize a group instead of picking one document's
+// value; only these may read a banded field, and their output is banded too
+// (see redactAnalyticsRows). Other redacted fields can't be accumulated.
+const ANALYTICS_SUMMARY_ACCUMULATORS = new Set(["$sum", "$avg"]);
+const ANALYTICS_DATE_PARTS = new Set([
+  "$year",
+  "$month",
+  "$dayOfMonth",
+  "$dayOfWeek",
+]);
+
+class AnalyticsValidationError extends RequestError {
+  constructor(message, path) {
+    super(message);
+    this.name = "AnalyticsValidationError";
+    this.path = path;
+  }
+
+  toResponse() {
+    return {
+      error: "Pipeline rejected",
+      reason: this.message,
+      path: this.path,
+    };
+  }
+}
+
+// What a stage can refer to: the documents of `collection` plus looked-up
+// `aliases` (alias -> collection), or after $group only the group's outputs.
+// A whole looked-up alias may only be unwound or counted (`whole`), so
+// unlisted fields such as email never reach the output.
+function analyticsFieldAllowed(scope, path, whole = false) {
+  if (scope.groupFields) return scope.groupFields.has(path);
+  if (isAllowedField(scope.collection, path)) return true;
+  const [alias, ...rest] = path.split(".");
+  const target = scope.aliases[alias];
+  return (
+    Boolean(target) &&
+    (rest.length ? isAllowedField(target, rest.join(".")) : whole)
+  );
+}
+
+function validateAnalyticsExpression(expr, scope, path, whole = false) {
+  const reject = (message) => {
+    throw new AnalyticsValidationError(message, path);
+  };
+  if (typeof expr === "number" || expr === null) return;
+  if (typeof expr === "string") {
+    if (
+      !expr.startsWith("$") ||
+      !analyticsFieldAllowed(scope, expr.slice(1), whole)
+    )
+      reject(`Unknown field reference "${expr}"`);
+    return;
+  }
+  if (!isPlainObject(expr) || Object.keys(expr).length !== 1)
+    reject("Expressions must be a field reference, a number or one operator");
+  const [op, arg] = Object.entries(expr)[0];
+  if (!ANALYTICS_DATE_PARTS.has(op) && op !== "$size")
+    reject(`Operator "${op}" is not allowed`);
+  if (typeof arg !== "string") reject(`${op} expects a field reference`);
+  validateAnalyticsExpression(arg, scope, `${path}.${op}`, op === "$size");
+}
+
+// The redaction action for `path` under the caller's policy, or null: a
+// users field such as "Salary" on users or "participants.Salary" after a
+// $lookup of users, or after $group an output computed from one.
+function analyticsRedaction(scope, path) {
+  if (path == null) return null;
+  if (scope.groupFields) return (scope.redacted || {})[path] ?? null;
+  const [alias, ...rest] = path.split(".");
+  const field =
+    scope.collection === "users"
+      ? path
+      : scope.aliases[alias] === "users"
+        ? rest.join(".")
+        : null;
+  return field != null ? (redactionPolicy()[field] ?? null) : null;
+}
+
+// The field a (validated) expression reads, e.g. "DOB" for { $year: "$DOB" }.
+function expressionField(expr) {
+  if (typeof expr === "string") return expr.slice(1);
+  if (isPlainObject(expr)) return expressionField(Object.values(expr)[0]);
+  return null;
+}
+
+// Grouping by a redacted field would list its exact values as group keys.
+function rejectRedactedGroupKey(expr, scope, path) {
+  if (analyticsRedaction(scope, expressionField(expr)))
+    throw new AnalyticsValidationError(
+      `Cannot group by redacted field "${expressionField(expr)}"`,
+      path
+    );
+}
+
+function validateGroupStage(spec, scope, path) {
+  if (!isPlainObject(spec) || !("_id" in spec))
+    throw new AnalyticsValidationError("$group needs an _id", path);
+  const fields = new Set(["_id"]);
+  const redacted = {};
+  if (isPlainObject(spec._id)) {
+    for (const [name, expr] of Object.entries(spec._id)) {
+      if (name.startsWith("$") || name.includes("."))
+        throw new AnalyticsValidationError(
+          `Invalid group key "${name}"`,
+          `${path}._id`
+        );
+      validateAnalyticsExpression(expr, scope, `${path}._id.${name}`);
+      rejectRedactedGroupKey(expr, scope, `${path}._id.${name}`);
+      fields.add(`_id.${name}`);
+    }
+  } else {
+    validateAnalyticsExpression(spec._id, scope, `${path}._id`);
+    rejectRedactedGroupKey(spec._id, scope, `${path}._id`);
+  }
+  for (const [name, acc] of Object.entries(spec)) {
+    if (name === "_id") continue;
+    const at = `${path}.${name}`;
+    if (name.startsWith("$") || name.includes("."))
+      throw new AnalyticsValidationError(`Invalid output name "${name}"`, at);
+    const [op, arg] = isPlainObject(acc) ? Object.entries(acc)[0] || [] : [];
+    const isCount =
+      op === "$count" && isPlainObject(arg) && !Object.keys(arg).length;
+    if (
+      !isCount &&
+      !(ANALYTICS_ACCUMULATORS.has(op) && Object.keys(acc).length === 1)
+    ) {
+      throw new AnalyticsValidationError(
+        `"${name}" must use one of ${[...ANALYTICS_ACCUMULATORS, "$count"].join(", ")}`,
+        at
+      );
+    }
+    if (!isCount) {
+      validateAnalyticsExpression(arg, scope, `${at}.${op}`);
+      const field = expressionField(arg);
+      const action = analyticsRedaction(scope, field);
+      if (action && action !== "band")
+        throw new AnalyticsValidationError(
+          `Redacted field "${field}" can't be accumulated`,
+          `${at}.${op}`
+        );
+      if (action && !ANALYTICS_SUMMARY_ACCUMULATORS.has(op))
+        throw new AnalyticsValidationError(
+          `Only ${[...ANALYTICS_SUMMARY_ACCUMULATORS].join(", ")} can read redacted field "${field}"`,
+          `${at}.${op}`
+        );
+      if (action) redacted[name] = action;
+    }
+    fields.add(name);
+  }
+  return { groupFields: fields, redacted };
+}
+
+// The relation a $lookup spec follows from `collection`, or null.
+function analyticsLookupRelation(collection, spec) {
+  return (
+    RELATIONSHIPS.find(
+      (rel) =>
+        (rel.from === collection &&
+          spec.from === rel.to &&
+          spec.localField === rel.field &&
+          spec.foreignField === "_id") ||
+        (rel.to === collection &&
+          spec.from === rel.from &&
+          spec.localField === "_id" &&
+          spec.foreignField === rel.field)
+    ) || null
+  );
+}
+
+// Validates { collection, pipeline } and returns the pipeline to run (dates
+// converted, fields the caller's policy drops removed from ungrouped output,
+// rows capped).
+function prepareAnalyticsPipeline(type, pipeline) {
+  const collection = COLLECTION_BY_TYPE[type];
+  if (!collection)
+    throw new AnalyticsValidationError(
+      `Unknown collection "${type}"`,
+      "collection"
+    );
+  if (!Array.isArray(pipeline) || !pipeline.length)
+    throw new AnalyticsValidationError(
+      "pipeline must be a non-empty array",
+      "pipeline"
+    );
+  if (pipeline.length > ANALYTICS_MAX_STAGES) {
+    throw new AnalyticsValidationError(
+      `pipeline accepts at most ${ANALYTICS_MAX_STAGES} stages`,
+      "pipeline"
+    );
+  }
+  let scope = { collection, aliases: {}, groupFields: null };
+  pipeline.forEach((stage, i) => {
+    const path = `pipeline[${i}]`;
+    if (!isPlainObject(stage) || Object.keys(stage).length !== 1)
+      throw new AnalyticsValidationError(
+        "Each stage must have exactly one key",
+        path
+      );
+    const [op, spec] = Object.entries(stage)[0];
+    const at = `${path}.${op}`;
+    switch (op) {
+      case "$match":
+        validateFilterNode(
+          spec,
+          {
+            collection,
+            isAllowed: (field) => analyticsFieldAllowed(scope, field),
+            redaction: (field) => analyticsRedaction(scope, field),
+          },
+          at
+        );
+        break;
+      case "$group":
+        scope = validateGroupStage(spec, scope, at);
+        break;
+      case "$sort":
+        if (!isPlainObject(spec) || !Object.keys(spec).length)
+          throw new AnalyticsValidationError(
+            "$sort must be a non-empty object",
+            at
+          );
+        for (const [field, dir] of Object.entries(spec)) {
+          if (!analyticsFieldAllowed(scope, field) || (dir !== 1 && dir !== -1))
+            throw new AnalyticsValidationError(
+              `Cannot sort by "${field}"`,
+              `${at}.${field}`
+            );
+        }
+        break;
+      case "$limit":
+        if (!Number.isInteger(spec) || spec < 1)
+          throw new AnalyticsValidationError(
+            "$limit must be a positive integer",
+            at
+          );
+        break;
+      case "$unwind":
+        if (typeof spec !== "string")
+          throw new AnalyticsValidationError(
+            "$unwind expects a field reference",
+            at
+          );
+        validateAnalyticsExpression(spec, scope, at, true);
+        break;
+      case "$lookup": {
+        const keys = ["from", "localField", "foreignField", "as"];
+        const rel =
+          !scope.groupFields &&
+          isPlainObject(spec) &&
+          Object.keys(spec).length === keys.length &&
+          analyticsLookupRelation(collection, spec);
+        if (!rel)
+          throw new AnalyticsValidationError(
+            "$lookup must follow a known relation before $group",
+            at
+          );
+        requireCollection(collectionType(spec.from));
+        if (
+          typeof spec.as !== "string" ||
+          !/^[A-Za-z][A-Za-z0-9_]*$/.test(spec.as) ||
+          isAllowedField(collection, spec.as)
+        )
+          throw new AnalyticsValidationError(
+            `Invalid $lookup alias "${spec.as}"`,
+            `${at}.as`
+          );
+        scope = {
+          ...scope,
+          aliases: { ...scope.aliases, [spec.as]: spec.from },
+        };
+        break;
+      }
+      default:
+        throw new AnalyticsValidationError(`Stage "${op}" is not allowed`, at);
+    }
+  });
+  const run = convertDateFromString(pipeline);
+  if (!scope.groupFields) {
+    const dropped = droppedFields();
+    const hidden = [
+      ...(collection === "users" ? dropped : []),
+      ...Object.entries(scope.aliases)
+        .filter(([, target]) => target === "users")
+        .flatMap(([alias]) => dropped.map((field) => `${alias}.${field}`)),
+    ];
+    if (hidden.length) run.push({ $unset: hidden });
+  }
+  run.push({ $limit: ANALYTICS_MAX_ROWS });
+  return { run, redacted: scope.groupFields ? scope.redacted : null };
+}
+
+// Flattens result documents into { columns, rows }; a compound _id becomes
+// one column per key.
+function toTable(docs) {
+  const columns = [];
+  const flat = docs.map((doc) => {
+    const row = {};
+    for (const [key, value] of Object.entries(doc)) {
+      if (key === "_id" && isPlainObject(value)) Object.assign(row, value);
+      else row[key] = value;
+    }
+    for (const key of Object.keys(row))
+      if (!columns.includes(key)) columns.push(key);
+    return row;
+  });
+  return {
+    columns,
+    rows: flat.map((row) => columns.map((c) => row[c] ?? null)),
+  };
+}
+
+// The LLM's analytics reply goes through the same checks as a search
+// translation (see checkTranslation): the JSON, its { collection, pipeline }
+// shape and then prepareAnalyticsPipeline, with one retry listing the
+// problems before a TranslationError (422).
+const ANALYTICS_TOOL = {
+  name: "submit_pipeline",
+  description:
+    "Submit the collection and aggregation pipeline for the question, exactly as the instructions describe them.",
+  parameters: {
+    type: "object",
+    properties: {
+      collection: { type: "string" },
+      pipeline: { type: "array", items: { type: "object" } },
+    },
+    required: ["collection", "pipeline"],
+  },
+};
+
+const zAnalytics = z
+  .object({
+    collection: z.string(),
+    pipeline: z.array(z.record(z.string(), z.unknown())).min(1),
+  })
+  .strict();
+
+// Returns { parsed } for a usable { collection, pipeline } reply, otherwise
+// { issues }.
+function checkAnalyticsTranslation(text) {
+  if (!text) return { issues: ["(root): Empty response"] };
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(text));
+  } catch (err) {
+    return { issues: [`(root): Not valid JSON (${err.message})`] };
+  }
+  const result = zAnalytics.safeParse(parsed);
+  if (!result.success) return { issues: formatIssues(result.error.issues) };
+  try {
+    prepareAnalyticsPipeline(parsed.collection, parsed.pipeline);
+  } catch (err) {
+    if (err instanceof AnalyticsValidationError)
+      return { issues: [`${err.path}: ${err.message}`] };
+    if (err instanceof FilterValidationError)
+      return { issues: [`${err.path || "(root)"}: ${err.message}`] };
+    throw err;
+  }
+  return { parsed };
+}
+
+// Translates a question into { collection, pipeline } with the LLM, cached
+// like search translations. Returns { collection, pipeline, cacheHit, raw }.
+async function translateAnalytics(prompt, { cache } = {}) {
+  if (!prompt) throw new RequestError("q is required");
+  if (!llm)
+    throw new RequestError(
+      "Analytics needs an LLM provider (LLM_PROVIDER)",
+      503
+    );
+  const now = new Date();
+  const cacheKey = translationCacheKey(prompt, "analytics", now);
+  if (cache !== "bypass") {
+    const cached = await translationCache.get(cacheKey);
+    if (cached) return { ...cached, cacheHit: true, raw: null, usage: null };
+  }
+  const request = {
+    system: withSchema(ANALYTICS_PROMPT),
+    user: `CurrentServerDate: ${now.toISOString()}
+Prompt: ${prompt}`,
+    prompt,
+    type: "analytics",
+    tool: ANALYTICS_TOOL,
+  };
+  let { text, usage } = await completeWithBudget(request);
+  console.log(`[DEBUG] Analytics response for "${prompt}":`, text);
+  let checked = checkAnalyticsTranslation(text);
+  if (checked.issues) {
+    console.log(
+      "[DEBUG] Invalid analytics pipeline, retrying:",
+      checked.issues
+    );
+    const retry = await completeWithBudget({
+      ...request,
+      retry: retryMessage(text, checked.issues),
+    });
+    text = retry.text;
+    usage = addUsage(usage, retry.usage);
+    checked = checkAnalyticsTranslation(text);
+  }
+  if (checked.issues) {
+    throw new TranslationError(
+      "Could not translate the question into a pipeline",
+      { issues: checked.issues, raw: text }
+    );
+  }
+  const translation = {
+    collection: checked.parsed.collection,
+    pipeline: checked.parsed.pipeline,
+  };
+  await translationCache.set(cacheKey, translation);
+  return { ...translation, cacheHit: false, raw: text, usage };
+}
+
+// Ungrouped output still holds users documents (or users looked up under an
+// alias); those get the same redaction as search results. In grouped output
+// the sums and averages of banded fields (`redacted`, see
+// prepareAnalyticsPipeline) are banded like the fields themselves.
+function redactAnalyticsRows({ collection, pipeline }, docs, redacted) {
+  if (redacted) {
+    return docs.map((doc) => {
+      const out = { ...doc };
+      for (const [name, action] of Object.entries(redacted)) {
+        if (out[name] != null) out[name] = REDACTORS[action](out[name]);
+      }
+      return out;
+    });
+  }
+  const aliases = pipeline
+    .filter((stage) => stage.$lookup && stage.$lookup.from === "users")
+    .map((stage) => stage.$lookup.as);
+  return docs.map((doc) => {
+    const out = collection === "users" ? hideSensitive(doc) : { ...doc };
+    for (const alias of aliases) {
+      if (Array.isArray(out[alias])) out[alias] = out[alias].map(hideSensitive);
+      else if (out[alias] != null) out[alias] = hideSensitive(out[alias]);
+    }
+    return out;
+  });
+}
+
+// Shared by POST /analytics and the analyze MCP tool. body is { q, cache } or
+// an explicit { collection, pipeline } that skips the LLM.
+async function runAnalytics(body) {
+  const { q, cache, collection, pipeline } = body || {};
+  const translation =
+    pipeline !== undefined
+      ? { collection, pipeline, cacheHit: false, raw: null, usage: null }
+      : await translateAnalytics(q, { cache });
+  if (COLLECTION_BY_TYPE[translation.collection])
+    requireCollection(translation.collection);
+  const { run, redacted } = prepareAnalyticsPipeline(
+    translation.collection,
+    translation.pipeline
+  );
+  const docs = await db
+    .collection(COLLECTION_BY_TYPE[translation.collection])
+    .aggregate(run, { maxTimeMS: ANALYTICS_MAX_TIME_MS })
+    .toArray();
+  recordAudit({
+    collection: translation.collection,
+    prompt: pipeline !== undefined ? null : q,
+    filter: translation.pipeline,
+    sort: null,
+    foreignKey: false,
+    parser: pipeline !== undefined ? "none" : "llm",
+    cacheHit: translation.cacheHit,
+    count: docs.length,
+    total: docs.length,
+    usage: translation.usage,
+  });
+  return {
+    ...toTable(redactAnalyticsRows(translation, docs, redacted)),
+    count: docs.length,
+    collection: translation.collection,
+    pipeline: translation.pipeline,
+    parser: pipeline !== undefined ? "none" : "llm",
+    cacheHit: translation.cacheHit,
+    raw: translation.raw,
+  };
+}
+
+// ----- Rule-based prompt parser -----
+// Deterministic, offline fallback for parsePromptToMongoQuery. It understands
+// the common patterns documented in SYSTEM_PROMPT (gender words, "in <city>",
+// month/year ranges, salary and age bounds, "users attending <event type>")
+// and produces the same filter shape the LLM would, $dateFromString included.
+const NO_MATCH_FILTER = { _id: "intentionally_no_match" };
+
+const RULE_FIELDS = {
+  users: { date: "DOB", location: "Location", text: "Occupation" },
+  events: {
+    date: "Event_date",
+    location: "Event_location",
+    text: "Event_type",
+  },
+  dating: { date: "Dating_Date", location: "Dating_location", text: null },
+};
+
+const MONTH_PATTERN =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|novemeber|dec(?:ember)?|decembre";
+const MONTH_PREFIXES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Longer units first, and the amount must end at a word boundary, so "5 lakh"
+// doesn't stop at "l" and leave "akh" behind.
+const AMOUNT_PATTERN =
+  "(\\d[\\d,]*(?:\\.\\d+)?)\\s*(million|lakhs?|lacs?|k|l|m)?\\b";
+
+// Words that carry no filter meaning once every recognised clause is removed.
+const RULE_STOPWORDS = new Set(
+  (
+    "a an the all any every some give me show list get find display fetch search " +
+    "please only just who which that whose are is was were with having have has " +
+    "and or of for to by in on at from near users user people persons person " +
+    "members member profiles profile records record events event datings dating " +
+    "dates date everyone everybody those them there"
+  ).split(" ")
+);
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toDateFromString(date) {
+  return {
+    $dateFromString: {
+      dateString: date.toISOString().replace(/\.\d{3}Z$/, "Z"),
+      timezone: "UTC",
+    },
+  };
+}
+
+function dateRange(start, end) {
+  return { $gte: toDateFromString(start), $lte: toDateFromString(end) };
+}
+
+function monthRange(year, month) {
+  return dateRange(
+    new Date(Date.UTC(year, month, 1)),
+    new Date(Date.UTC(year, month + 1, 0, 23, 59, 59))
+  );
+}
+
+function yearRange(year) {
+  return dateRange(
+    new Date(Date.UTC(year, 0, 1)),
+    new Date(Date.UTC(year, 11, 31, 23, 59, 59))
+  );
+}
+
+function monthIndex(word) {
+  return MONTH_PREFIXES.indexOf(word.slice(0, 3));
+}
+
+// YEAR-INFERENCE RULE from SYSTEM_PROMPT: a month earlier than the current
+// one refers to next year.
+function inferYear(month, now) {
+  return month >= now.getUTCMonth()
+    ? now.getUTCFullYear()
+    : now.getUTCFullYear() + 1;
+}
+
+function parseAmount(digits, unit) {
+  const value = Number(digits.replace(/,/g, ""));
+  if (!unit) return value;
+  if (unit === "k") return value * 1000;
+  if (unit === "m" || unit === "million") return value * 1000000;
+  return value * 100000; // lakh
+}
+
+// DOB bound for someone who turned `years` old on `now`'s calendar day.
+function yearsBefore(now, years) {
+  return new Date(
+    Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate())
+  );
+}
+
+function ageRange(now, minAge, maxAge) {
+  const range = {};
+  if (minAge != null) range.$lte = toDateFromString(yearsBefore(now, minAge));
+  if (maxAge != null)
+    range.$gt = toDateFromString(yearsBefore(now, maxAge + 1));
+  return range;
+}
+
+// Callers who see DOB as an age or Salary as a band may only filter on whole
+// ages and bands (see validateRedactedCondition), so for them the rule
+// parser widens a birth date range to the ages born in it and salary bounds
+// to the bands holding them. Everyone else gets the bounds as written.
+function birthRange(range, now) {
+  if (redactionPolicy().DOB !== "age") return range;
+  const date = (bound) => new Date(bound.$dateFromString.dateString);
+  return ageRange(
+    now,
+    ageValue(date(range.$lte), now),
+    ageValue(date(range.$gte), now)
+  );
+}
+
+// `min` and `max` are inclusive; either may be null, and equal bounds are
+// an exact salary.
+function salaryCondition(min, max) {
+  if (redactionPolicy().Salary === "band")
+    return salaryBand(min, max == null ? null : max + 1);
+  if (min === max) return min;
+  const condition = {};
+  if (min != null) condition.$gte = min;
+  if (max != null) condition.$lte = max;
+  return condition;
+}
+
+function singularize(phrase) {
+  return phrase.replace(/([a-z]{3,}[^s])s\b/g, "$1");
+}
+
+// Splits "users attending tech meetups" into the foreign key collection and
+// the part of the prompt describing the related documents.
+function matchForeignKeyClause(text) {
+  const m = text.match(
+    /\b(?:(?:go(?:es)?|going|went)\s+(?:to|in|for|on)|attend(?:s|ed|ing)?|participat(?:e|es|ed|ing)\s+in)\s+(.+)$/
+  );
+  if (m) {
+    const tail = m[1];
+    const dating = /^(?:(?:a|an|the)\s+)?dat(?:e|es|ing|ings)\b/.test(tail);
+    return {
+      foreignKey: dating ? "dating" : "events",
+      head: text.slice(0, m.index),
+      tail,
+    };
+  }
+  const d = text.match(
+    /\b(?:users?|people|persons|men|women|who|which|that)\s+(?:dating|date)\s+((?:in|on|at|during)\b.+)$/
+  );
+  if (d)
+    return {
+      foreignKey: "dating",
+      head: text.slice(0, d.index + d[0].length - d[1].length),
+      tail: d[1],
+    };
+  return null;
+}
+
+// Splits "a design workshop but never went on a date in delhi" into the
+// first relation's text and a second foreign key clause joined by and/but/or,
+// optionally negated.
+function splitRelationClause(tail) {
+  const joins =
+    /\s(but|and|or)\s+(?:(never|not|did not|didn't|do not|don't|does not|doesn't)\s+)?/g;
+  for (const m of tail.matchAll(joins)) {
+    const rest = tail.slice(m.index + m[0].length);
+    const next = matchForeignKeyClause(` who ${rest} `);
+    if (next && !next.head.replace(/\b(?:who|dating|date)\b/g, "").trim()) {
+      return {
+        tail: tail.slice(0, m.index),
+        combine: m[1] === "or" ? "$or" : "$and",
+        negated: Boolean(m[2]),
+        next,
+      };
+    }
+  }
+  return null;
+}
+
+function detectPromptSubject(text) {
+  if (matchForeignKeyClause(text)) return "users";
+  if (/\bdat(?:e|es|ing|ings)\b/.test(text)) return "dating";
+  if (
+    /\b(?:events?|meetups?|workshops?|conferences?|pitch(?:es)?|hackathons?|concerts?|webinars?|seminars?)\b/.test(
+      text
+    )
+  )
+    return "events";
+  if (
+    /\b(?:users?|people|persons?|males?|females?|m[ae]n|wom[ae]n|guys?|girls?|boys?|lad(?:y|ies)|salary|paid|earners?|aged?|born|older|younger|engineers?|designers?|developers?|managers?)\b/.test(
+      text
+    )
+  )
+    return "users";
+  return null;
+}
+
+// Ordering words ("newest", "highest paid", ...) become a sort on the hint's
+// fields. Returns the text without the matched words, the sort (or null) and
+// whether "upcoming" was asked for, which also implies a date >= now filter.
+function extractRuleSort(text, type) {
+  const date = RULE_FIELDS[type].date;
+  const users = type === "users";
+  const rules = [
+    [/\b(?:newest|latest|most recent)\b/, users ? { _id: -1 } : { [date]: -1 }],
+    [/\b(?:oldest|earliest)\b/, { [date]: 1 }],
+    [/\byoungest\b/, users ? { DOB: -1 } : null],
+    [/\b(?:upcoming|soonest)\b/, users ? null : { [date]: 1 }],
+    [
+      /\b(?:highest|best|top)[- ](?:paid|salar(?:y|ies)|earners?)\b|\bsalary\s+(?:high to low|descending)\b/,
+      users ? { Salary: -1 } : null,
+    ],
+    [
+      /\b(?:lowest|least)[- ](?:paid|salar(?:y|ies)|earners?)\b|\bsalary\s+(?:low to high|ascending)\b/,
+      users ? { Salary: 1 } : null,
+    ],
+    [
+      /\b(?:alphabetical(?:ly)?|sorted by name|by name)\b/,
+      users ? { Name: 1 } : null,
+    ],
+  ];
+  for (const [re, sort] of rules) {
+    const m = text.match(re);
+    if (m) {
+      return {
+        text: text.slice(0, m.index) + " " + text.slice(m.index + m[0].length),
+        sort,
+        upcoming: /^(?:upcoming|soonest)$/.test(m[0]),
+      };
+    }
+  }
+  return { text, sort: null, upcoming: false };
+}
+
+function parseWithRules(prompt, type, now = new Date(), nested = false) {
+  let text = ` ${String(prompt || "")
+    .toLowerCase()
+    .replace(/[?!"]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()} `;
+  const fields = RULE_FIELDS[type];
+  const filter = {};
+  const consume = (re, handler) => {
+    const m = text.match(re);
+    if (!m) return false;
+    text = text.slice(0, m.index) + " " + text.slice(m.index + m[0].length);
+    handler(m);
+    return true;
+  };
+
+  if (!nested) {
+    const subject = detectPromptSubject(text);
+    if (subject && subject !== type) return { ...NO_MATCH_FILTER };
+
+    const fk = type === "users" ? matchForeignKeyClause(text) : null;
+    if (fk) {
+      const head = extractRuleSort(fk.head, "users");
+      const userFilter = parseWithRules(head.text, "users", now, true);
+      const term = (foreignKey, tail) => ({
+        __foreign_key_query: foreignKey,
+        __criteria: parseWithRules(
+          tail.replace(/^(?:(?:a|an|the)\s+)?dat(?:e|es|ing|ings)\b/, ""),
+          foreignKey,
+          now,
+          true
+        ),
+      });
+      const split = splitRelationClause(fk.tail);
+      let relation = term(fk.foreignKey, split ? split.tail : fk.tail);
+      if (split) {
+        const second = term(split.next.foreignKey, split.next.tail);
+        relation = {
+          __relations: {
+            [split.combine]: [
+              relation,
+              split.negated ? { $not: second } : second,
+            ],
+          },
+        };
+      }
+      return {
+        ...relation,
+        ...(Object.keys(userFilter).length
+          ? { __user_filter: userFilter }
+          : {}),
+        ...(head.sort ? { __sort: head.sort } : {}),
+      };
+    }
+  }
+
+  const ordering = extractRuleSort(text, type);
+  text = ordering.text;
+
+  if (type === "users") {
+    consume(/\b(?:females?|wom[ae]n|girls?|lad(?:y|ies))\b/, () => {
+      filter.Gender = { $regex: "^female$", $options: "i" };
+    }) ||
+      consume(/\b(?:males?|m[ae]n|guys?|boys?)\b/, () => {
+        filter.Gender = { $regex: "^male$", $options: "i" };
+      });
+
+    const salary = "(?:salary|salaries|earning|earns|paid)";
+    consume(
+      new RegExp(
+        `\\b${salary}\\s+(?:of\\s+)?between\\s+${AMOUNT_PATTERN}\\s+(?:and|to|-)\\s+${AMOUNT_PATTERN}`
+      ),
+      (m) => {
+        filter.Salary = salaryCondition(
+          parseAmount(m[1], m[2]),
+          parseAmount(m[3], m[4])
+        );
+      }
+    ) ||
+      consume(
+        new RegExp(
+          `\\b${salary}\\s+(?:above|over|more than|greater than|at least|>=?)\\s*${AMOUNT_PATTERN}`
+        ),
+        (m) => {
+          filter.Salary = salaryCondition(parseAmount(m[1], m[2]), null);
+        }
+      ) ||
+      consume(
+        new RegExp(
+          `\\b${salary}\\s+(?:below|under|less than|at most|<=?)\\s*${AMOUNT_PATTERN}`
+        ),
+        (m) => {
+          filter.Salary = salaryCondition(null, parseAmount(m[1], m[2]));
+        }
+      ) ||
+      consume(
+        new RegExp(
+          `(?:\\b${salary}\\s+(?:of\\s+)?${AMOUNT_PATTERN}|${AMOUNT_PATTERN}\\s+${salary})(?=\\s)`
+        ),
+        (m) => {
+          const amount = m[1]
+            ? parseAmount(m[1], m[2])
+            : parseAmount(m[3], m[4]);
+          filter.Salary = salaryCondition(amount, amount);
+        }
+      );
+
+    consume(
+      /\b(?:aged?|ages?)\s+(?:between\s+)?(\d{1,3})\s*(?:to|-|and)\s*(\d{1,3})\b/,
+      (m) => {
+        filter.DOB = ageRange(now, Number(m[1]), Number(m[2]));
+      }
+    ) ||
+      consume(
+        /\b(?:older than|over the age of|above the age of|over age)\s+(\d{1,3})\b/,
+        (m) => {
+          filter.DOB = ageRange(now, Number(m[1]) + 1, null);
+        }
+      ) ||
+      consume(/\byounger than\s+(\d{1,3})\b/, (m) => {
+        filter.DOB = ageRange(now, null, Number(m[1]) - 1);
+      }) ||
+      consume(/\baged?\s+(\d{1,3})\b/, (m) => {
+        filter.DOB = ageRange(now, Number(m[1]), Number(m[1]));
+      });
+  }
+
+  // Dates: users only have a date when the prompt talks about birth.
+  if (type !== "users" || /\bborn\b/.test(text)) {
+    const lead = "(?:\\b(?:born\\s+)?(?:in|on|during|of)\\s+)?";
+    const setDate = (range) => {
+      filter[fields.date] = type === "users" ? birthRange(range, now) : range;
+    };
+    consume(
+      new RegExp(`${lead}\\b(this|next|last)\\s+(month|year)\\b`),
+      (m) => {
+        const offset = m[1] === "next" ? 1 : m[1] === "last" ? -1 : 0;
+        if (m[2] === "year") {
+          setDate(yearRange(now.getUTCFullYear() + offset));
+        } else {
+          const d = new Date(
+            Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1)
+          );
+          setDate(monthRange(d.getUTCFullYear(), d.getUTCMonth()));
+        }
+      }
+    ) ||
+      consume(
+        new RegExp(
+          `${lead}\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?`
+        ),
+        (m) => {
+          const month = monthIndex(m[2]);
+          const year = m[3] ? Number(m[3]) : inferYear(month, now);
+          const day = Number(m[1]);
+          setDate(
+            dateRange(
+              new Date(Date.UTC(year, month, day)),
+              new Date(Date.UTC(year, month, day, 23, 59, 59))
+            )
+          );
+        }
+      ) ||
+      consume(
+        new RegExp(`${lead}\\b(${MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?`),
+        (m) => {
+          const month = monthIndex(m[1]);
+          const year = m[2] ? Number(m[2]) : inferYear(month, now);
+          setDate(monthRange(year, month));
+        }
+      ) ||
+      consume(new RegExp(`${lead}\\b((?:19|20)\\d{2})\\b`), (m) => {
+        setDate(yearRange(Number(m[1])));
+      });
+    text = text.replace(/\bborn\b/, " ");
+  }
+  if (ordering.upcoming && !filter[fields.date]) {
+    filter[fields.date] = { $gte: toDateFromString(now) };
+  }
+
+  consume(
+    /\b(?:in|at|from|near)\s+([a-z][a-z .'-]*?)(?=\s+(?:in|on|at|with|who|which|that|whose|aged?|born|older|younger|salary|earning|during|and|for|events?|datings?)\b|[,;]|\s*$)/,
+    (m) => {
+      const place = m[1].trim();
+      if (place && !RULE_STOPWORDS.has(place)) {
+        filter[fields.location] = { $regex: escapeRegex(place), $options: "i" };
+      }
+    }
+  );
+
+  if (fields.text) {
+    const residual = text
+      .replace(/[^a-z0-9 &+-]/g, " ")
+      .split(/\s+/)
+      .filter((w) => w && !RULE_STOPWORDS.has(w) && !/^\d+$/.test(w))
+      .join(" ");
+    if (residual) {
+      filter[fields.text] = {
+        $regex: escapeRegex(singularize(residual)),
+        $options: "i",
+      };
+    }
+  }
+
+  // Criteria of a foreign key query cannot be sorted; only the users can.
+  if (ordering.sort && !nested) filter.__sort = ordering.sort;
+  return filter;
+}
+
+// ----- Dynamic prompt-to-query parser -----
+// Parsers may add a top-level "__sort" key next to the filter; split it off.
+function splitSort(parsed) {
+  if (!isPlainObject(parsed) || !("__sort" in parsed))
+    return { filter: parsed, sort: null };
+  const { __sort, ...filter } = parsed;
+  return { filter, sort: __sort };
+}
+
+// ----- Ambiguous prompts -----
+// The LLM may answer { "__ambiguous": true, "alternatives": [{ description,
+// query }, ...] } when a prompt has several readings ("events in March":
+// this March or next). Searches then don't guess: NeedsClarification answers
+// with every alternative (index, description, filter, sort) and an encrypted
+// `clarification` token. Sending { clarification, alternative: <index> }
+// back runs that alternative without parsing the prompt again; { q,
+// alternative } also works but parses again (usually a cache hit).
+const MAX_ALTERNATIVES = 5;
+
+class NeedsClarification extends RequestError {
+  // Thrown so every search route and MCP tool answers alike; status 409 so
+  // clients can't take the answer for results (MCP tools return it as one).
+  constructor(type, prompt, alternatives) {
+    super(
+      'The prompt can be read several ways; resend with "clarification" and an "alternative" index',
+      409
+    );
+    this.name = "NeedsClarification";
+    this.type = type;
+    this.prompt = prompt;
+    this.alternatives = alternatives;
+  }
+
+  toResponse() {
+    const list = (alternatives) =>
+      alternatives.map(({ description, filter, sort }, index) => ({
+        index,
+        description,
+        filter,
+        sort,
+      }));
+    return {
+      status: "needs_clarification",
+      message: this.message,
+      collection: this.type,
+      prompt: this.prompt,
+      // For "all", only the ambiguous collections have a choice to make
+      alternatives: Array.isArray(this.alternatives)
+        ? list(this.alternatives)
+        : Object.fromEntries(
+            Object.entries(this.alternatives)
+              .filter(([, value]) => Array.isArray(value))
+              .map(([type, value]) => [type, list(value)])
+          ),
+      clarification: encodeCursor({
+        type: `clarify:${this.type}`,
+        prompt: this.prompt,
+        alternatives: this.alternatives,
+      }),
+    };
+  }
+}
+
+// Normalizes a (validated) translation: { filter, sort } or, for an
+// __ambiguous one, { filter: null, sort: null, alternatives }.
+function splitTranslation(parsed) {
+  if (!parsed.__ambiguous) return splitSort(parsed);
+  return {
+    filter: null,
+    sort: null,
+    alternatives: parsed.alternatives.map(({ description, query }) => {
+      const { filter, sort } = splitSort(query);
+      return {
+        description: description || describeFilter(filter),
+        filter,
+        sort,
+      };
+    }),
+  };
+}
+
+// Validates the alternatives for `type` like any parsed filter.
+function resolveAlternatives(type, alternatives) {
+  return alternatives.map(({ description, filter, sort }) => {
+    validateFilter(filter, type);
+    requireFilterCollections(filter, type);
+    return { description, filter, sort: normalizeSort(sort, type) };
+  });
+}
+
+function pickAlternative(alternatives, alternative) {
+  const index = Number(alternative);
+  if (!Number.isInteger(index) || index < 0 || index >= alternatives.length) {
+    throw new RequestError(
+      `alternative must be an index from 0 to ${alternatives.length - 1}`
+    );
+  }
+  return alternatives[index];
+}
+
+function describeValue(value) {
+  if (isPlainObject(value) && value.$dateFromString)
+    return String(value.$dateFromString.dateString).slice(0, 10);
+  return JSON.stringify(value);
+}
+
+const DESCRIBED_OPERATORS = {
+  $eq: "is",
+  $ne: "is not",
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<=",
+  $in: "is one of",
+  $nin: "is none of",
+  $all: "has all of",
+  $regex: "matches",
+  $size: "has this many items:",
+};
+
+function describeCondition(field, condition) {
+  if (!isPlainObject(condition) || condition.$dateFromString)
+    return `${field} is ${describeValue(condition)}`;
+  const parts = [];
+  for (const [op, value] of Object.entries(condition)) {
+    if (op === "$options") continue;
+    if (op === "$exists")
+      parts.push(`${field} ${value ? "exists" : "is missing"}`);
+    else if (op === "$not")
+      parts.push(`not (${describeCondition(field, value)})`);
+    else if (op === "$elemMatch")
+      parts.push(`${field} has an item where ${describeFilter(value)}`);
+    else if (Array.isArray(value))
+      parts.push(
+        `${field} ${DESCRIBED_OPERATORS[op]} ${value.map(describeValue).join(", ")}`
+      );
+    else
+      parts.push(
+        `${field} ${DESCRIBED_OPERATORS[op] || op} ${describeValue(value)}`
+      );
+  }
+  return parts.join(" and ");
+}
+
+// A readable summary of a filter, for alternatives the LLM left undescribed.
+function describeFilter(filter) {
+  if (!isPlainObject(filter)) return String(filter);
+  if ("__foreign_key_query" in filter || "__relations" in filter) {
+    const { __user_filter, __relations, ...relation } = filter;
+    const describeRelation = (node) =>
+      "__foreign_key_query" in node
+        ? `with ${node.__foreign_key_query} where ${describeFilter(node.__criteria)}`
+        : node.$not
+          ? `not ${describeRelation(node.$not)}`
+          : (node.$and || node.$or)
+              .map(describeRelation)
+              .join(node.$and ? " and " : " or ");
+    const users = __user_filter
+      ? ` where ${describeFilter(__user_filter)}`
+      : "";
+    return `users${users} ${describeRelation(__relations ?? relation)}`;
+  }
+  const parts = Object.entries(filter).map(([key, value]) => {
+    if (key === "$and" || key === "$or" || key === "$nor") {
+      const joined = value
+        .map((f) => `(${describeFilter(f)})`)
+        .join(key === "$or" ? " or " : " and ");
+      return key === "$nor" ? `none of ${joined}` : joined;
+    }
+    return describeCondition(key, value);
+  });
+  return parts.length ? parts.join(" and ") : "everything";
+}
+
+// The LLM's reply must match this query AST before it is used or cached:
+// field filters (comparisons, $in/$nin/$all, $regex, $exists, $size, $not,
+// $elemMatch and $and/$or/$nor), $dateFromString dates, the foreign key
+// forms and an optional "__sort", or an __ambiguous list of such queries.
+// Field names and nesting limits are checked afterwards by validateFilter.
+// A reply that isn't JSON or doesn't match gets one retry with the problems
+// listed; after that a TranslationError (422) reaches the client.
+const QUERY_TOOL = {
+  name: "submit_query",
+  description:
+    "Submit the MongoDB query object for the prompt, exactly as the instructions describe it.",
+  parameters: { type: "object", additionalProperties: true },
+};
+
+const zDate = z
+  .object({
+    $dateFromString: z
+      .object({
+        dateString: z.string().min(1),
+        timezone: z.string().optional(),
+      })
+      .strict(),
+  })
+  .strict();
+const zScalar = z.union([z.string(), z.number(), z.boolean(), z.null(), zDate]);
+const zOperators = z.lazy(() =>
+  z
+    .object({
+      $eq: zScalar,
+      $ne: zScalar,
+      $gt: zScalar,
+      $gte: zScalar,
+      $lt: zScalar,
+      $lte: zScalar,
+      $in: z.array(zScalar),
+      $nin: z.array(zScalar),
+      $all: z.array(zScalar),
+      $regex: z.string(),
+      $options: z.string().regex(/^[imsx]*$/, "Only i, m, s and x options"),
+      $exists: z.boolean(),
+      $size: z.number().int().min(0),
+      $not: zOperators,
+      $elemMatch: zFieldFilter,
+    })
+    .partial()
+    .strict()
+    .refine((ops) => Object.keys(ops).length > 0, "Empty operator object")
+);
+const zCondition = z.union([zScalar, zOperators]);
+const zFieldFilter = z.lazy(() =>
+  z
+    .object({
+      $and: z.array(zFieldFilter).min(1),
+      $or: z.array(zFieldFilter).min(1),
+      $nor: z.array(zFieldFilter).min(1),
+    })
+    .partial()
+    .catchall(zCondition)
+    .superRefine((filter, ctx) => {
+      for (const key of Object.keys(filter)) {
+        if (LOGICAL_OPERATORS.has(key)) continue;
+        if (key.startsWith("$") || key.startsWith("__"))
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [key],
+            message: `"${key}" is not allowed here`,
+          });
+      }
+    })
+);
+const zForeignKeyType = z
+  .string()
+  .refine((type) => foreignKeyTypes().includes(type), {
+    message: "Unknown foreign key collection",
+  });
+const zRelation = z.lazy(() =>
+  z.union([
+    z
+      .object({
+        __foreign_key_query: zForeignKeyType,
+        __criteria: zFieldFilter,
+      })
+      .strict(),
+    z.object({ $and: z.array(zRelation).min(2) }).strict(),
+    z.object({ $or: z.array(zRelation).min(2) }).strict(),
+    z.object({ $not: zRelation }).strict(),
+  ])
+);
+const zSort = z.record(z.string(), z.union([z.literal(1), z.literal(-1)]));
+const zForeignKeyQuery = z
+  .object({
+    __foreign_key_query: zForeignKeyType,
+    __criteria: zFieldFilter,
+    __user_filter: zFieldFilter.optional(),
+  })
+  .strict();
+const zRelationsQuery = z
+  .object({ __relations: zRelation, __user_filter: zFieldFilter.optional() })
+  .strict();
+const zAmbiguous = z
+  .object({
+    __ambiguous: z.literal(true),
+    alternatives: z
+      .array(
+        z
+          .object({
+            description: z.string().optional(),
+            query: z.record(z.string(), z.unknown()),
+          })
+          .strict()
+      )
+      .min(2)
+      .max(MAX_ALTERNATIVES),
+  })
+  .strict();
+
+class TranslationError extends RequestError {
+  constructor(message, { issues, raw }) {
+    super(message, 422);
+    this.name = "TranslationError";
+    this.issues = issues;
+    this.raw = raw;
+  }
+
+  toResponse() {
+    return {
+      error: this.message,
+      code: "translation_failed",
+      issues: this.issues,
+      raw: this.raw,
+    };
+  }
+}
+
+// Flattens zod issues to "path: message" lines; for a union the branch that
+// got furthest explains the problem best.
+function formatIssues(issues, prefix = []) {
+  return issues.flatMap((issue) => {
+    if (issue.code === "invalid_union") {
+      const best = issue.unionErrors
+        .map((err) => err.issues)
+        .sort(
+          (a, b) =>
+            Math.max(...b.map((i) => i.path.length)) -
+            Math.max(...a.map((i) => i.path.length))
+        )[0];
+      return formatIssues(best, prefix);
+    }
+    const path = [...prefix, ...issue.path].join(".");
+    return [`${path || "(root)"}: ${issue.message}`];
+  });
+}
+
+// Tolerates a code fence around the JSON, nothing else.
+function stripCodeFence(text) {
+  const match = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(text.trim());
+  return match ? match[1] : text;
+}
+
+// Returns { parsed } for a reply matching the query AST whose filters pass
+// validateFilter for `type` (as of `now`), otherwise { issues }.
+function checkTranslation(text, type, now) {
+  if (!text) return { issues: ["(root): Empty response"] };
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(text));
+  } catch (err) {
+    return { issues: [`(root): Not valid JSON (${err.message})`] };
+  }
+  let issues = queryIssues(parsed);
+  if (!issues.length) issues = filterIssues(parsed, type, now);
+  return issues.length ? { issues } : { parsed };
+}
+
+// validateFilter's objections to a well-formed query (or to each of its
+// alternatives), e.g. a field outside the allowlist or a redacted field
+// searched more precisely than the caller's role permits.
+function filterIssues(parsed, type, now) {
+  const queries =
+    "__ambiguous" in parsed
+      ? parsed.alternatives.map((alt, i) => [
+          alt.query,
+          `alternatives.${i}.query`,
+        ])
+      : [[parsed, ""]];
+  return queries.flatMap(([query, prefix]) => {
+    try {
+      validateFilter(splitSort(query).filter, type, now);
+      return [];
+    } catch (err) {
+      if (!(err instanceof FilterValidationError)) throw err;
+      const path = [prefix, err.path].filter(Boolean).join(".");
+      return [`${path || "(root)"}: ${err.message}`];
+    }
+  });
+}
+
+// Problems with one query object; an __ambiguous answer (top level only) is
+// checked alternative by alternative.
+function queryIssues(parsed, prefix = []) {
+  const at = prefix.join(".") || "(root)";
+  if (!isPlainObject(parsed)) return [`${at}: Expected a JSON object`];
+  if (!prefix.length && "__ambiguous" in parsed) {
+    const result = zAmbiguous.safeParse(parsed);
+    if (!result.success) return formatIssues(result.error.issues);
+    return parsed.alternatives.flatMap((alt, i) =>
+      queryIssues(alt.query, ["alternatives", i, "query"])
+    );
+  }
+  const { filter, sort } = splitSort(parsed);
+  const schema =
+    "__foreign_key_query" in filter
+      ? zForeignKeyQuery
+      : "__relations" in filter
+        ? zRelationsQuery
+        : zFieldFilter;
+  const issues = [];
+  const result = schema.safeParse(filter);
+  if (!result.success)
+    issues.push(...formatIssues(result.error.issues, prefix));
+  if (sort != null) {
+    const sorted = zSort.safeParse(sort);
+    if (!sorted.success)
+      issues.push(...formatIssues(sorted.error.issues, [...prefix, "__sort"]));
+  }
+  return issues;
+}
+
+function retryMessage(text, issues) {
+  return `Your previous answer was:
+${text || "(empty)"}
+It is not a valid query:
+${issues.map((issue) => `- ${issue}`).join("\n")}
+Answer again with only the corrected JSON object.`;
+}
+
+function addUsage(a, b) {
+  if (!a || !b) return a || b;
+  const out = {};
+  for (const key of ["prompt_tokens", "completion_tokens", "total_tokens"])
+    out[key] = (a[key] || 0) + (b[key] || 0);
+  return out;
+}
+
+// Returns { filter, sort, parser, cacheHit, raw, usage } where parser is "llm"
+// or "rules", raw is the LLM's response text and usage its token usage (both
+// null when it wasn't called). For an ambiguous prompt filter and sort are
+// null and `alternatives` lists [{ description, filter, sort }] instead.
+// options.parser set to "rules" skips the LLM entirely; otherwise the
+// rule-based parser is used when no LLM provider is configured or the provider
+// call fails. Successful LLM translations are cached unless options.cache is
+// "bypass", which forces a fresh translation (and refreshes the cache).
+// options.context (see sessionContext) is sent along as PreviousTurns and
+// options.now replaces the server date (for eval). An
+// exhausted daily LLM budget throws a RateLimitError, and a reply that is
+// still invalid after the retry a TranslationError. With options.fallback
+// false (eval) a missing provider or a failed call throws instead of using
+// the rule-based parser.
+async function parsePromptToMongoQuery(prompt, type, options = {}) {
+  if (!prompt)
+    return {
+      filter: { _id: "intentionally_no_match_on_empty_prompt" },
+      sort: null,
+      parser: "none",
+      cacheHit: false,
+      raw: null,
+      usage: null,
+    }; // Return no-match for empty prompt
+  const now = options.now ?? new Date();
+  if (!llm && options.fallback === false)
+    throw new Error("No LLM provider is configured (LLM_PROVIDER)");
+  if (options.parser === "rules" || !llm) {
+    const filter = parseWithRules(prompt, type, now);
+    console.log(
+      `[DEBUG] Rule-based query for ${type}:`,
+      JSON.stringify(filter, null, 2)
+    );
+    return {
+      ...splitSort(filter),
+      parser: "rules",
+      cacheHit: false,
+      raw: null,
+      usage: null,
+    };
+  }
+  const context = options.context ?? null;
+  const cacheKey = translationCacheKey(prompt, type, now, context);
+  if (options.cache !== "bypass") {
+    const cached = await translationCache.get(cacheKey);
+    if (cached) {
+      console.log(`[DEBUG] Translation cache hit for ${type}: "${prompt}"`);
+      return {
+        ...splitTranslation(cached),
+        parser: "llm",
+        cacheHit: true,
+        raw: null,
+        usage: null,
+      };
+    }
+  }
+  const currentServerDate = now.toISOString();
+  const request = {
+    system: withSchema(SYSTEM_PROMPT),
+    user: `CurrentServerDate: ${currentServerDate}
+CollectionHint: ${type}
+${context ? `PreviousTurns:\n${context}\n` : ""}Prompt: ${prompt}`,
+    prompt,
+    type,
+    tool: QUERY_TOOL,
+  };
+  let text;
+  let usage;
+  let checked;
+  try {
+    ({ text, usage } = await completeWithBudget(request));
+    console.log(
+      `[DEBUG] ${llm.name} (${llm.model}) response for ${type} collection with prompt "${prompt}":`,
+      text
+    );
+    checked = checkTranslation(text, type, now);
+    if (checked.issues) {
+      console.log(
+        `[DEBUG] Invalid translation for ${type}, retrying:`,
+        checked.issues
+      );
+      const retry = await completeWithBudget({
+        ...request,
+        retry: retryMessage(text, checked.issues),
+      });
+      text = retry.text;
+      usage = addUsage(usage, retry.usage);
+      checked = checkTranslation(text, type, now);
+    }
+  } catch (err) {
+    // An exhausted budget is the caller's problem, not the provider's
+    if (err instanceof RateLimitError || options.fallback === false) throw err;
+    console.error("NLP parse error:", err);
+    console.log(`[DEBUG] Falling back to rule-based parser for ${type}`);
+    return {
+      ...splitSort(parseWithRules(prompt, type, now)),
+      parser: "rules",
+      cacheHit: false,
+      raw: null,
+      usage: null,
+    };
+  }
+  if (checked.issues) {
+    throw new TranslationError(
+      `Could not translate the prompt into a ${type} query`,
+      { issues: checked.issues, raw: text }
+    );
+  }
+  console.log(
+    `[DEBUG] Parsed query for ${type}:`,
+    JSON.stringify(checked.parsed, null, 2)
+  );
+  await translationCache.set(cacheKey, checked.parsed);
+  return {
+    ...splitTranslation(checked.parsed),
+    parser: "llm",
+    cacheHit: false,
+    raw: text,
+    usage,
+  };
+}
+
+// ----- MongoDB connection & server start -----
+let db;
+let client;
+
+async function connectDb() {
+  client = new MongoClient(MONGO_URI);
+  await client.connect();
+  db = client.db(DB_NAME);
+  console.log("Connected to MongoDB:", MONGO_URI, " DB:", DB_NAME);
+}
+
+async function startServer() {
+  await connectDb();
+  await translationCache.attach(db);
+  await attachAuditLog(db);
+  await rateLimitStore.attach(db);
+  await sessionStore.attach(db);
+  await schemaService.attach(db);
+  await db
+    .collection(API_KEYS_COLLECTION)
+    .createIndex({ hash: 1 }, { unique: true });
+
+  // Initialize MCP Server
+  setupMCPServer();
+
+  // ---- Express endpoints ----
+
+  // Health
+  app.get("/health", (req, res) => res.json({ ok: true }));
+
+  // SCHEMA: the introspected fields behind the LLM prompts, for the
+  // collections the API key may access. refresh=true (admin scope)
+  // re-introspects first.
+  app.get("/schema", async (req, res) => {
+    try {
+      if (req.query.refresh === "true") {
+        requireScope("admin");
+        await schemaService.refresh();
+      }
+      return res.json(visibleSchema());
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("schema error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // SEARCH USERS: body { q: string, limit?: number, cursor?: string, sort?: object,
+  // populateOptions?: object }, query param populate=events,dating
+  // Pass the previous response's nextCursor as `cursor` to get the next page;
+  // `sort` (e.g. { "Salary": -1 }) overrides any ordering parsed from `q`.
+  // populate embeds each user's events/datings; populateOptions limits them
+  // per user, e.g. { "events": { "limit": 3, "from": "2025-01-01" } }.
+  // An ambiguous `q` answers 409 { status: "needs_clarification",
+  // alternatives, clarification }; resend { clarification, alternative } to
+  // run one.
+  // The same sessionId on every request of a conversation lets follow-up
+  // prompts build on the earlier ones (see "Search sessions").
+  app.post("/search/users", async (req, res) => {
+    console.log("[DEBUG] /search/users endpoint called with body:", req.body);
+    try {
+      const {
+        q = "",
+        limit = 10,
+        cache,
+        cursor,
+        sort,
+        populateOptions,
+        clarification,
+        alternative,
+        sessionId,
+      } = req.body || {};
+      const populate = parseReversePopulate(req.query.populate, "users");
+      const l = parseLimit(limit, 100);
+      const session = await openSession(sessionId);
+      const search = await resolveSearchFilter("users", {
+        q,
+        cursor,
+        parser: req.query.parser,
+        cache,
+        sort,
+        clarification,
+        alternative,
+        session,
+      });
+
+      // Handles both regular and foreign key user queries
+      const page = await findSearchPage("users", search, l);
+      await recordTurn(session, { users: { search, docs: page.docs } });
+      const docs = await populateReverse(
+        "users",
+        page.docs,
+        populate,
+        populateOptions
+      );
+      const { next, total, totalExact, related } = page;
+      return res.json({
+        count: docs.length,
+        total,
+        totalExact,
+        related,
+        results: docs,
+        nextCursor: nextPageCursor("users", search, next),
+        sort: search.sort,
+        parser: search.parser,
+        cacheHit: search.cacheHit,
+        sessionId: session ? session.id : undefined,
+      });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("search/users error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // SEARCH EVENTS: body { q: string, limit?: number, cursor?: string, sort?: object }, query param populate=false to disable user population (default: true)
+  app.post("/search/events", async (req, res) => {
+    try {
+      const {
+        q = "",
+        limit = 10,
+        cache,
+        cursor,
+        sort,
+        clarification,
+        alternative,
+        sessionId,
+      } = req.body || {};
+      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
+      const l = parseLimit(limit, 100);
+      const session = await openSession(sessionId);
+      const search = await resolveSearchFilter("events", {
+        q,
+        cursor,
+        parser: req.query.parser,
+        cache,
+        sort,
+        clarification,
+        alternative,
+        session,
+      });
+      const page = await findSearchPage("events", search, l);
+      await recordTurn(session, { events: { search, docs: page.docs } });
+      const docs = populate
+        ? await populateResults("events", page.docs)
+        : page.docs;
+
+      return res.json({
+        count: docs.length,
+        total: page.total,
+        totalExact: page.totalExact,
+        results: docs,
+        nextCursor: nextPageCursor("events", search, page.next),
+        sort: search.sort,
+        parser: search.parser,
+        cacheHit: search.cacheHit,
+        sessionId: session ? session.id : undefined,
+      });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("search/events error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // SEARCH DATING: body { q: string, limit?: number, cursor?: string, sort?: object }, query param populate=false to disable user population (default: true)
+  app.post("/search/dating", async (req, res) => {
+    try {
+      const {
+        q = "",
+        limit = 10,
+        cache,
+        cursor,
+        sort,
+        clarification,
+        alternative,
+        sessionId,
+      } = req.body || {};
+      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
+      const l = parseLimit(limit, 100);
+      const session = await openSession(sessionId);
+      const search = await resolveSearchFilter("dating", {
+        q,
+        cursor,
+        parser: req.query.parser,
+        cache,
+        sort,
+        clarification,
+        alternative,
+        session,
+      });
+      const page = await findSearchPage("dating", search, l);
+      await recordTurn(session, { dating: { search, docs: page.docs } });
+      const docs = populate
+        ? await populateResults("dating", page.docs)
+        : page.docs;
+
+      return res.json({
+        count: docs.length,
+        total: page.total,
+        totalExact: page.totalExact,
+        results: docs,
+        nextCursor: nextPageCursor("dating", search, page.next),
+        sort: search.sort,
+        parser: search.parser,
+        cacheHit: search.cacheHit,
+        sessionId: session ? session.id : undefined,
+      });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("search/dating error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // SEARCH ALL: Search across all three collections
+  // body { q: string, limit?: number, cursor?: string, sort?: object }; one
+  // cursor pages all three collections together and `sort` is keyed by
+  // collection hint, e.g. { "events": { "Event_date": -1 } }.
+  app.post("/search/all", async (req, res) => {
+    try {
+      const {
+        q = "",
+        limit = 10,
+        cache,
+        cursor,
+        sort,
+        clarification,
+        alternative,
+        sessionId,
+      } = req.body || {};
+      const populate = req.query.populate !== "false"; // Default to true, only disable if explicitly set to false
+      const l = parseLimit(limit, 30); // Reduced per-collection limit for combined search
+
+      // Resolve all three filters (parsed in parallel, or from the cursor)
+      const session = await openSession(sessionId);
+      const searches = await resolveAllSearchFilters({
+        q,
+        cursor,
+        parser: req.query.parser,
+        cache,
+        sorts: sort,
+        clarification,
+        alternative,
+        session,
+      });
+
+      // ✅ CORRECTED: An empty filter {} is allowed and finds all documents;
+      // only collections exhausted on a previous page are skipped.
+      const [usersPage, eventsPage, datingPage] = await Promise.all([
+        findSearchPage("users", searches.users, l),
+        findSearchPage("events", searches.events, l),
+        findSearchPage("dating", searches.dating, l),
+      ]);
+      await recordTurn(session, {
+        users: { search: searches.users, docs: usersPage.docs },
+        events: { search: searches.events, docs: eventsPage.docs },
+        dating: { search: searches.dating, docs: datingPage.docs },
+      });
+      const usersResults = usersPage.docs;
+      const next = {
+        users: usersPage.next,
+        events: eventsPage.next,
+        dating: datingPage.next,
+      };
+
+      // Populate if requested
+      const [eventsResults, datingResults] = populate
+        ? await Promise.all([
+            populateResults("events", eventsPage.docs),
+            populateResults("dating", datingPage.docs),
+          ])
+        : [eventsPage.docs, datingPage.docs];
+
+      const totalCount =
+        usersResults.length + eventsResults.length + datingResults.length;
+
+      return res.json({
+        count: totalCount,
+        results: {
+          users: pageSummary(usersPage, usersResults),
+          events: pageSummary(eventsPage, eventsResults),
+          dating: pageSummary(datingPage, datingResults),
+        },
+        nextCursor: allPagesCursor(searches, next),
+        queries: mapSearches(searches, (s) => s.filter),
+        sorts: mapSearches(searches, (s) => s.sort),
+        parsers: mapSearches(searches, (s) => s.parser),
+        cacheHits: mapSearches(searches, (s) => s.cacheHit),
+        sessionId: session ? session.id : undefined,
+      });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("search/all error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // INTEGRITY REPORT: read-only; query param limit caps the listed issues
+  // (default 100, max 1000). Fixing is only done by the CLI (--fix).
+  app.get("/admin/integrity", async (req, res) => {
+    try {
+      requireScope("admin");
+      const maxIssues = parseLimit(req.query.limit, 1000, 100);
+      return res.json(await checkIntegrity({ maxIssues }));
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("admin/integrity error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // AUDIT LOG (admin scope): query params caller (key id or name), from, to
+  // (dates) and limit (default 100, max 1000); newest entries first.
+  app.get("/admin/audit", async (req, res) => {
+    try {
+      requireScope("admin");
+      const entries = await findAuditEntries(req.query);
+      return res.json({ count: entries.length, entries });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("admin/audit error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // API KEYS (admin scope): GET lists keys without their hashes; POST issues
+  // one from body { name, scopes?, expiresAt? }. Issue and rotate return the
+  // plaintext key once, it cannot be recovered later.
+  const adminRoute = (handler) => async (req, res) => {
+    try {
+      requireScope("admin");
+      return await handler(req, res);
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("admin/keys error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  app.get(
+    "/admin/keys",
+    adminRoute(async (req, res) => {
+      const keys = await db
+        .collection(API_KEYS_COLLECTION)
+        .find({}, { projection: { hash: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+      return res.json({ count: keys.length, keys });
+    })
+  );
+
+  app.post(
+    "/admin/keys",
+    adminRoute(async (req, res) =>
+      res.status(201).json(await issueApiKey(req.body || {}))
+    )
+  );
+
+  app.post(
+    "/admin/keys/:id/rotate",
+    adminRoute(async (req, res) => res.json(await rotateApiKey(req.params.id)))
+  );
+
+  app.post(
+    "/admin/keys/:id/revoke",
+    adminRoute(async (req, res) => res.json(await revokeApiKey(req.params.id)))
+  );
+
+  // EXPLAIN: same body as the matching /search/* route (or /search/all);
+  // returns the translation and MongoDB's query plan instead of documents.
+  app.post("/search/:collection/explain", async (req, res) => {
+    try {
+      const {
+        q = "",
+        limit = 10,
+        cache,
+        cursor,
+        sort,
+        clarification,
+        alternative,
+        sessionId,
+      } = req.body || {};
+      const { collection } = req.params;
+      const options = {
+        q,
+        cursor,
+        parser: req.query.parser,
+        cache,
+        clarification,
+        alternative,
+        session: await openSession(sessionId),
+      };
+      if (collection === "all") {
+        const l = parseLimit(limit, 30);
+        const searches = await resolveAllSearchFilters({
+          ...options,
+          sorts: sort,
+        });
+        const [users, events, dating] = await Promise.all([
+          explainSearch("users", searches.users, l),
+          explainSearch("events", searches.events, l),
+          explainSearch("dating", searches.dating, l),
+        ]);
+        return res.json({ explain: { users, events, dating } });
+      }
+      if (!COLLECTION_BY_TYPE[collection]) {
+        throw new RequestError(
+          `Unknown collection "${collection}"; use users, events, dating or all`,
+          404
+        );
+      }
+      const l = parseLimit(limit, 100);
+      const search = await resolveSearchFilter(collection, {
+        ...options,
+        sort,
+      });
+      return res.json({ explain: await explainSearch(collection, search, l) });
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("search explain error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // WRITES: :collection is users, events or dating. POST creates from the
+  // body, PATCH sets the given fields, DELETE applies the on-delete policies.
+  const writeRoute = (handler) => async (req, res) => {
+    try {
+      if (!COLLECTION_BY_TYPE[req.params.collection]) {
+        throw new RequestError(
+          `Unknown collection "${req.params.collection}"; use users, events or dating`,
+          404
+        );
+      }
+      requireScope("write");
+      requireCollection(req.params.collection);
+      return await handler(req, res);
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("data write error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+  const writeResult = (type, doc) =>
+    type === "users" ? hideSensitive(doc) : doc;
+
+  app.post(
+    "/data/:collection",
+    writeRoute(async (req, res) => {
+      const { collection } = req.params;
+      const doc = await createDocument(collection, req.body);
+      return res.status(201).json(writeResult(collection, doc));
+    })
+  );
+
+  app.patch(
+    "/data/:collection/:id",
+    writeRoute(async (req, res) => {
+      const { collection, id } = req.params;
+      const doc = await updateDocument(collection, id, req.body);
+      return res.json(writeResult(collection, doc));
+    })
+  );
+
+  app.delete(
+    "/data/:collection/:id",
+    writeRoute(async (req, res) => {
+      const { collection, id } = req.params;
+      return res.json(await deleteDocument(collection, id));
+    })
+  );
+
+  // ANALYTICS: body { q: string, cache?: "bypass" } or { collection, pipeline }
+  // Returns { columns, rows } plus the pipeline that produced them.
+  app.post("/analytics", async (req, res) => {
+    try {
+      return res.json(await runAnalytics(req.body));
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("analytics error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // STRUCTURED QUERY: body { filter?: object, projection?: object, sort?: object,
+  // limit?: number, populate?: boolean, cursor?: string }. Skips the LLM; the
+  // filter uses the same operators, $dateFromString included, as parsed ones.
+  app.post("/query/:collection", async (req, res) => {
+    try {
+      return res.json(
+        await runStructuredQuery(req.params.collection, req.body || {})
+      );
+    } catch (err) {
+      if (err instanceof RequestError)
+        return res.status(err.status).json(err.toResponse());
+      console.error("query error", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Start Express
   app.listen(PORT, () => console.log(`API listening http://localhost:${PORT}`));
 }
 
@@ -887,10 +5740,44 @@ function setupMCPServer() {
     {
       capabilities: {
         tools: {},
+        resources: {},
       },
     }
   );
 
+  // The introspected schema, as for GET /schema
+  const SCHEMA_RESOURCE_URI = "schema://collections";
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: [
+      {
+        uri: SCHEMA_RESOURCE_URI,
+        name: "Collection schema",
+        description:
+          "Fields, types, enum-like values and references of users, events and dating",
+        mimeType: "application/json",
+      },
+    ],
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    if (request.params.uri !== SCHEMA_RESOURCE_URI) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown resource: ${request.params.uri}`
+      );
+    }
+    const apiKey = await mcpApiKey();
+    return requestContext.run({ apiKey, source: "mcp" }, () => ({
+      contents: [
+        {
+          uri: SCHEMA_RESOURCE_URI,
+          mimeType: "application/json",
+          text: JSON.stringify(visibleSchema(), null, 2),
+        },
+      ],
+    }));
+  });
+
   // Register MongoDB search tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
@@ -904,16 +5791,72 @@ function setupMCPServer() {
             properties: {
               query: {
                 type: "string",
-                description: "Plain English search query for users",
+                description: "Plain English search query for users",
+              },
+              limit: {
+                type: "integer",
+                minimum: 1,
+                description:
+                  "Maximum number of results (default: 10, max: 100)",
+                default: 10,
+              },
+              parser: {
+                type: "string",
+                enum: ["auto", "rules"],
+                description:
+                  "Query parser: 'auto' uses the LLM with a rule-based fallback, 'rules' skips the LLM",
+                default: "auto",
+              },
+              cache: {
+                type: "string",
+                enum: ["default", "bypass"],
+                description:
+                  "Set to 'bypass' to ignore cached prompt translations",
+                default: "default",
+              },
+              cursor: {
+                type: "string",
+                description:
+                  "nextCursor from a previous call; fetches the next page without re-parsing the query",
+              },
+              clarification: {
+                type: "string",
+                description:
+                  "clarification token from a needs_clarification answer; runs the chosen alternative without re-parsing",
+              },
+              alternative: {
+                type: "number",
+                description:
+                  "Index of the alternative to run when the query is ambiguous",
+              },
+              sessionId: {
+                type: "string",
+                description:
+                  "Conversation id chosen by the client; reuse it so follow-ups like 'only those older than 30' refine the earlier queries",
               },
-              limit: {
-                type: "number",
+              explain: {
+                type: "boolean",
                 description:
-                  "Maximum number of results (default: 10, max: 100)",
-                default: 10,
+                  "Return the LLM output, translated filter and MongoDB query plan instead of documents",
+                default: false,
+              },
+              populate: {
+                type: "array",
+                items: { type: "string", enum: ["events", "dating"] },
+                description: "Embed each user's events and/or dating records",
+              },
+              populateOptions: {
+                type: "object",
+                description:
+                  'Per-relation limit and date window, e.g. { "events": { "limit": 3, "from": "2025-01-01", "to": "2025-12-31" } }',
+              },
+              sort: {
+                type: "object",
+                description:
+                  'Explicit sort overriding the parsed one, e.g. { "Salary": -1 }',
               },
             },
-            required: ["query"],
+            required: [],
           },
         },
         {
@@ -927,18 +5870,64 @@ function setupMCPServer() {
                 description: "Plain English search query for events",
               },
               limit: {
-                type: "number",
+                type: "integer",
+                minimum: 1,
                 description:
                   "Maximum number of results (default: 10, max: 100)",
                 default: 10,
               },
+              parser: {
+                type: "string",
+                enum: ["auto", "rules"],
+                description:
+                  "Query parser: 'auto' uses the LLM with a rule-based fallback, 'rules' skips the LLM",
+                default: "auto",
+              },
+              cache: {
+                type: "string",
+                enum: ["default", "bypass"],
+                description:
+                  "Set to 'bypass' to ignore cached prompt translations",
+                default: "default",
+              },
+              cursor: {
+                type: "string",
+                description:
+                  "nextCursor from a previous call; fetches the next page without re-parsing the query",
+              },
+              clarification: {
+                type: "string",
+                description:
+                  "clarification token from a needs_clarification answer; runs the chosen alternative without re-parsing",
+              },
+              alternative: {
+                type: "number",
+                description:
+                  "Index of the alternative to run when the query is ambiguous",
+              },
+              sessionId: {
+                type: "string",
+                description:
+                  "Conversation id chosen by the client; reuse it so follow-ups like 'only those older than 30' refine the earlier queries",
+              },
+              explain: {
+                type: "boolean",
+                description:
+                  "Return the LLM output, translated filter and MongoDB query plan instead of documents",
+                default: false,
+              },
+              sort: {
+                type: "object",
+                description:
+                  'Explicit sort overriding the parsed one, e.g. { "Salary": -1 }',
+              },
               populate: {
                 type: "boolean",
                 description: "Include full user details for participants",
                 default: false,
               },
             },
-            required: ["query"],
+            required: [],
           },
         },
         {
@@ -952,18 +5941,64 @@ function setupMCPServer() {
                 description: "Plain English search query for dating profiles",
               },
               limit: {
-                type: "number",
+                type: "integer",
+                minimum: 1,
                 description:
                   "Maximum number of results (default: 10, max: 100)",
                 default: 10,
               },
+              parser: {
+                type: "string",
+                enum: ["auto", "rules"],
+                description:
+                  "Query parser: 'auto' uses the LLM with a rule-based fallback, 'rules' skips the LLM",
+                default: "auto",
+              },
+              cache: {
+                type: "string",
+                enum: ["default", "bypass"],
+                description:
+                  "Set to 'bypass' to ignore cached prompt translations",
+                default: "default",
+              },
+              cursor: {
+                type: "string",
+                description:
+                  "nextCursor from a previous call; fetches the next page without re-parsing the query",
+              },
+              clarification: {
+                type: "string",
+                description:
+                  "clarification token from a needs_clarification answer; runs the chosen alternative without re-parsing",
+              },
+              alternative: {
+                type: "number",
+                description:
+                  "Index of the alternative to run when the query is ambiguous",
+              },
+              sessionId: {
+                type: "string",
+                description:
+                  "Conversation id chosen by the client; reuse it so follow-ups like 'only those older than 30' refine the earlier queries",
+              },
+              explain: {
+                type: "boolean",
+                description:
+                  "Return the LLM output, translated filter and MongoDB query plan instead of documents",
+                default: false,
+              },
+              sort: {
+                type: "object",
+                description:
+                  'Explicit sort overriding the parsed one, e.g. { "Salary": -1 }',
+              },
               populate: {
                 type: "boolean",
                 description: "Include full user details",
                 default: false,
               },
             },
-            required: ["query"],
+            required: [],
           },
         },
         {
@@ -978,48 +6013,223 @@ function setupMCPServer() {
                 description: "Plain English search query for all collections",
               },
               limit: {
-                type: "number",
+                type: "integer",
+                minimum: 1,
                 description:
                   "Maximum number of results per collection (default: 10, max: 30)",
                 default: 10,
               },
+              parser: {
+                type: "string",
+                enum: ["auto", "rules"],
+                description:
+                  "Query parser: 'auto' uses the LLM with a rule-based fallback, 'rules' skips the LLM",
+                default: "auto",
+              },
+              cache: {
+                type: "string",
+                enum: ["default", "bypass"],
+                description:
+                  "Set to 'bypass' to ignore cached prompt translations",
+                default: "default",
+              },
+              cursor: {
+                type: "string",
+                description:
+                  "nextCursor from a previous call; fetches the next page without re-parsing the query",
+              },
+              clarification: {
+                type: "string",
+                description:
+                  "clarification token from a needs_clarification answer; runs the chosen alternative without re-parsing",
+              },
+              alternative: {
+                type: "number",
+                description:
+                  "Index of the alternative to run when the query is ambiguous",
+              },
+              sessionId: {
+                type: "string",
+                description:
+                  "Conversation id chosen by the client; reuse it so follow-ups like 'only those older than 30' refine the earlier queries",
+              },
+              explain: {
+                type: "boolean",
+                description:
+                  "Return the LLM output, translated filter and MongoDB query plan instead of documents",
+                default: false,
+              },
+              sort: {
+                type: "object",
+                description:
+                  'Explicit sorts keyed by collection, e.g. { "events": { "Event_date": -1 } }',
+              },
               populate: {
                 type: "boolean",
                 description: "Include full user details for related records",
                 default: false,
               },
             },
-            required: ["query"],
+            required: [],
+          },
+        },
+        {
+          name: "analyze",
+          description:
+            "Answer aggregate questions (counts, averages, top-N per group) over users, events and dating; returns a table",
+          inputSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description:
+                  "Plain English question, e.g. 'how many events per city in November'",
+              },
+              cache: {
+                type: "string",
+                enum: ["default", "bypass"],
+                description:
+                  "Set to 'bypass' to ignore cached prompt translations",
+                default: "default",
+              },
+              collection: {
+                type: "string",
+                enum: ["users", "events", "dating"],
+                description: "With pipeline: collection to aggregate",
+              },
+              pipeline: {
+                type: "array",
+                description:
+                  "Explicit restricted pipeline ($match, $group, $sort, $limit, $unwind, $lookup); skips the LLM",
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: "query_collection",
+          description:
+            "Run a structured MongoDB query without the LLM (same filter format and allowlists as the search tools)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              collection: {
+                type: "string",
+                enum: ["users", "events", "dating"],
+                description: "Collection to query",
+              },
+              filter: {
+                type: "object",
+                description:
+                  'MongoDB filter, e.g. { "Event_location": "Mumbai" }; $dateFromString and the users foreign key format are supported',
+              },
+              projection: {
+                type: "object",
+                description: 'Fields to include or exclude, e.g. { "Name": 1 }',
+              },
+              sort: {
+                type: "object",
+                description: 'Sort order, e.g. { "Event_date": -1 }',
+              },
+              limit: {
+                type: "integer",
+                minimum: 1,
+                description:
+                  "Maximum number of results (default: 10, max: 100)",
+                default: 10,
+              },
+              populate: {
+                type: "boolean",
+                description:
+                  "Attach referenced users (participants, Male/Female)",
+                default: true,
+              },
+              cursor: {
+                type: "string",
+                description: "nextCursor from a previous query_collection call",
+              },
+            },
+            required: ["collection"],
           },
         },
       ],
     };
   });
 
+  const explainContent = (explain) => ({
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ explain }, null, 2),
+      },
+    ],
+  });
+
   // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const callTool = async (request) => {
     const { name, arguments: args } = request.params;
 
     try {
       switch (name) {
         case "search_users": {
-          const { query = "", limit = 10 } = args;
-          const l = Math.min(Number(limit) || 10, 100);
-          let filter = await parsePromptToMongoQuery(query, "users");
-          filter = convertDateFromString(filter);
-          const projection = ALLOW_PII ? {} : { email: 0 }; // Keep salary visible
-          const results = await db
-            .collection("users")
-            .find(filter, { projection })
-            .limit(l)
-            .toArray();
+          const {
+            query = "",
+            limit = 10,
+            parser: parserMode,
+            cache,
+            cursor,
+            sort,
+            explain = false,
+            clarification,
+            alternative,
+            sessionId,
+            populate: populateList,
+            populateOptions,
+          } = args;
+          const populate = parseReversePopulate(populateList, "users");
+          const l = parseLimit(limit, 100);
+          const session = await openSession(sessionId);
+          const search = await resolveSearchFilter("users", {
+            q: query,
+            cursor,
+            parser: parserMode,
+            cache,
+            sort,
+            clarification,
+            alternative,
+            session,
+          });
+          if (explain)
+            return explainContent(await explainSearch("users", search, l));
+          const page = await findSearchPage("users", search, l);
+          await recordTurn(session, { users: { search, docs: page.docs } });
+          const results = await populateReverse(
+            "users",
+            page.docs,
+            populate,
+            populateOptions
+          );
+          const { next, total, totalExact, related } = page;
 
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
-                  { results, count: results.length, query: filter },
+                  {
+                    results,
+                    count: results.length,
+                    total,
+                    totalExact,
+                    related,
+                    nextCursor: nextPageCursor("users", search, next),
+                    query: search.filter,
+                    sort: search.sort,
+                    parser: search.parser,
+                    cacheHit: search.cacheHit,
+                    populated: populate,
+                    sessionId: session ? session.id : undefined,
+                  },
                   null,
                   2
                 ),
@@ -1029,36 +6239,40 @@ function setupMCPServer() {
         }
 
         case "search_events": {
-          const { query = "", limit = 10, populate = false } = args;
-          const l = Math.min(Number(limit) || 10, 100);
-          let baseFilter = await parsePromptToMongoQuery(query, "events");
-          baseFilter = convertDateFromString(baseFilter);
-          let results = await db
-            .collection("events")
-            .find(baseFilter)
-            .limit(l)
-            .toArray();
-
-          if (populate) {
-            for (let event of results) {
-              if (
-                event.participant_ids &&
-                Array.isArray(event.participant_ids)
-              ) {
-                const userIds = event.participant_ids.map((p) =>
-                  typeof p === "string" ? new ObjectId(p) : p
-                );
-                const users = await db
-                  .collection("users")
-                  .find(
-                    { _id: { $in: userIds } },
-                    { projection: ALLOW_PII ? {} : { email: 0 } }
-                  )
-                  .toArray();
-                event.participantDetails = users;
-              }
-            }
-          }
+          const {
+            query = "",
+            limit = 10,
+            populate = false,
+            parser: parserMode,
+            cache,
+            cursor,
+            sort,
+            explain = false,
+            clarification,
+            alternative,
+            sessionId,
+          } = args;
+          const l = parseLimit(limit, 100);
+          const session = await openSession(sessionId);
+          const parsed = await resolveSearchFilter("events", {
+            q: query,
+            cursor,
+            parser: parserMode,
+            cache,
+            sort,
+            clarification,
+            alternative,
+            session,
+          });
+          if (explain)
+            return explainContent(await explainSearch("events", parsed, l));
+          const page = await findSearchPage("events", parsed, l);
+          await recordTurn(session, {
+            events: { search: parsed, docs: page.docs },
+          });
+          const results = populate
+            ? await populateResults("events", page.docs)
+            : page.docs;
 
           return {
             content: [
@@ -1068,8 +6282,15 @@ function setupMCPServer() {
                   {
                     results,
                     count: results.length,
-                    query: baseFilter,
+                    total: page.total,
+                    totalExact: page.totalExact,
+                    nextCursor: nextPageCursor("events", parsed, page.next),
+                    query: parsed.filter,
+                    sort: parsed.sort,
+                    parser: parsed.parser,
+                    cacheHit: parsed.cacheHit,
                     populated: populate,
+                    sessionId: session ? session.id : undefined,
                   },
                   null,
                   2
@@ -1080,46 +6301,40 @@ function setupMCPServer() {
         }
 
         case "search_dating": {
-          const { query = "", limit = 10, populate = false } = args;
-          const l = Math.min(Number(limit) || 10, 100);
-          let baseFilter = await parsePromptToMongoQuery(query, "dating");
-          baseFilter = convertDateFromString(baseFilter);
-          let results = await db
-            .collection("datings")
-            .find(baseFilter)
-            .limit(l)
-            .toArray();
-
-          if (populate) {
-            for (let profile of results) {
-              if (profile.Male_id) {
-                const maleId =
-                  typeof profile.Male_id === "string"
-                    ? new ObjectId(profile.Male_id)
-                    : profile.Male_id;
-                const male = await db
-                  .collection("users")
-                  .findOne(
-                    { _id: maleId },
-                    { projection: ALLOW_PII ? {} : { email: 0 } }
-                  );
-                profile.maleDetails = male;
-              }
-              if (profile.Female_id) {
-                const femaleId =
-                  typeof profile.Female_id === "string"
-                    ? new ObjectId(profile.Female_id)
-                    : profile.Female_id;
-                const female = await db
-                  .collection("users")
-                  .findOne(
-                    { _id: femaleId },
-                    { projection: ALLOW_PII ? {} : { email: 0 } }
-                  );
-                profile.femaleDetails = female;
-              }
-            }
-          }
+          const {
+            query = "",
+            limit = 10,
+            populate = false,
+            parser: parserMode,
+            cache,
+            cursor,
+            sort,
+            explain = false,
+            clarification,
+            alternative,
+            sessionId,
+          } = args;
+          const l = parseLimit(limit, 100);
+          const session = await openSession(sessionId);
+          const parsed = await resolveSearchFilter("dating", {
+            q: query,
+            cursor,
+            parser: parserMode,
+            cache,
+            sort,
+            clarification,
+            alternative,
+            session,
+          });
+          if (explain)
+            return explainContent(await explainSearch("dating", parsed, l));
+          const page = await findSearchPage("dating", parsed, l);
+          await recordTurn(session, {
+            dating: { search: parsed, docs: page.docs },
+          });
+          const results = populate
+            ? await populateResults("dating", page.docs)
+            : page.docs;
 
           return {
             content: [
@@ -1129,8 +6344,15 @@ function setupMCPServer() {
                   {
                     results,
                     count: results.length,
-                    query: baseFilter,
+                    total: page.total,
+                    totalExact: page.totalExact,
+                    nextCursor: nextPageCursor("dating", parsed, page.next),
+                    query: parsed.filter,
+                    sort: parsed.sort,
+                    parser: parsed.parser,
+                    cacheHit: parsed.cacheHit,
                     populated: populate,
+                    sessionId: session ? session.id : undefined,
                   },
                   null,
                   2
@@ -1141,86 +6363,58 @@ function setupMCPServer() {
         }
 
         case "search_all": {
-          const { query = "", limit = 10, populate = false } = args;
-          const l = Math.min(Number(limit) || 10, 30);
+          const {
+            query = "",
+            limit = 10,
+            populate = false,
+            parser: parserMode,
+            cache,
+            cursor,
+            sort,
+            explain = false,
+            clarification,
+            alternative,
+            sessionId,
+          } = args;
+          const l = parseLimit(limit, 30);
 
           // Search all three collections in parallel
-          const [usersFilter, eventsFilter, datingFilter] = await Promise.all([
-            parsePromptToMongoQuery(query, "users"),
-            parsePromptToMongoQuery(query, "events"),
-            parsePromptToMongoQuery(query, "dating"),
-          ]);
-
-          const [usersResults, eventsResults, datingResults] =
-            await Promise.all([
-              db
-                .collection("users")
-                .find(convertDateFromString(usersFilter), {
-                  projection: ALLOW_PII ? {} : { email: 0 },
-                })
-                .limit(l)
-                .toArray(),
-              db
-                .collection("events")
-                .find(convertDateFromString(eventsFilter))
-                .limit(l)
-                .toArray(),
-              db
-                .collection("datings")
-                .find(convertDateFromString(datingFilter))
-                .limit(l)
-                .toArray(),
+          const session = await openSession(sessionId);
+          const searches = await resolveAllSearchFilters({
+            q: query,
+            cursor,
+            parser: parserMode,
+            cache,
+            sorts: sort,
+            clarification,
+            alternative,
+            session,
+          });
+          if (explain) {
+            const [users, events, dating] = await Promise.all([
+              explainSearch("users", searches.users, l),
+              explainSearch("events", searches.events, l),
+              explainSearch("dating", searches.dating, l),
             ]);
-
-          if (populate) {
-            // Populate events
-            for (let event of eventsResults) {
-              if (
-                event.participant_ids &&
-                Array.isArray(event.participant_ids)
-              ) {
-                const userIds = event.participant_ids.map((p) =>
-                  typeof p === "string" ? new ObjectId(p) : p
-                );
-                const users = await db
-                  .collection("users")
-                  .find(
-                    { _id: { $in: userIds } },
-                    { projection: ALLOW_PII ? {} : { email: 0 } }
-                  )
-                  .toArray();
-                event.participantDetails = users;
-              }
-            }
-
-            // Populate dating
-            for (let profile of datingResults) {
-              if (profile.Male_id) {
-                const male = await db.collection("users").findOne(
-                  {
-                    _id:
-                      typeof profile.Male_id === "string"
-                        ? new ObjectId(profile.Male_id)
-                        : profile.Male_id,
-                  },
-                  { projection: ALLOW_PII ? {} : { email: 0 } }
-                );
-                profile.maleDetails = male;
-              }
-              if (profile.Female_id) {
-                const female = await db.collection("users").findOne(
-                  {
-                    _id:
-                      typeof profile.Female_id === "string"
-                        ? new ObjectId(profile.Female_id)
-                        : profile.Female_id,
-                  },
-                  { projection: ALLOW_PII ? {} : { email: 0 } }
-                );
-                profile.femaleDetails = female;
-              }
-            }
+            return explainContent({ users, events, dating });
           }
+          const [usersPage, eventsPage, datingPage] = await Promise.all([
+            findSearchPage("users", searches.users, l),
+            findSearchPage("events", searches.events, l),
+            findSearchPage("dating", searches.dating, l),
+          ]);
+          await recordTurn(session, {
+            users: { search: searches.users, docs: usersPage.docs },
+            events: { search: searches.events, docs: eventsPage.docs },
+            dating: { search: searches.dating, docs: datingPage.docs },
+          });
+          const usersResults = usersPage.docs;
+          const [eventsResults, datingResults] = populate
+            ? await Promise.all([
+                populateResults("events", eventsPage.docs),
+                populateResults("dating", datingPage.docs),
+              ])
+            : [eventsPage.docs, datingPage.docs];
 
           const totalCount =
             usersResults.length + eventsResults.length + datingResults.length;
@@ -1233,22 +6427,21 @@ function setupMCPServer() {
                   {
                     totalCount,
                     results: {
-                      users: { count: usersResults.length, data: usersResults },
-                      events: {
-                        count: eventsResults.length,
-                        data: eventsResults,
-                      },
-                      dating: {
-                        count: datingResults.length,
-                        data: datingResults,
-                      },
-                    },
-                    queries: {
-                      users: usersFilter,
-                      events: eventsFilter,
-                      dating: datingFilter,
+                      users: pageSummary(usersPage, usersResults),
+                      events: pageSummary(eventsPage, eventsResults),
+                      dating: pageSummary(datingPage, datingResults),
                     },
+                    nextCursor: allPagesCursor(searches, {
+                      users: usersPage.next,
+                      events: eventsPage.next,
+                      dating: datingPage.next,
+                    }),
+                    queries: mapSearches(searches, (s) => s.filter),
+                    sorts: mapSearches(searches, (s) => s.sort),
+                    parsers: mapSearches(searches, (s) => s.parser),
+                    cacheHits: mapSearches(searches, (s) => s.cacheHit),
                     populated: populate,
+                    sessionId: session ? session.id : undefined,
                   },
                   null,
                   2
@@ -1258,15 +6451,85 @@ function setupMCPServer() {
           };
         }
 
+        case "analyze": {
+          const { query, ...rest } = args;
+          const payload = await runAnalytics({ q: query, ...rest });
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(payload, null, 2),
+              },
+            ],
+          };
+        }
+
+        case "query_collection": {
+          const payload = await runStructuredQuery(args.collection, args);
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(payload, null, 2),
+              },
+            ],
+          };
+        }
+
         default:
           throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
       }
     } catch (error) {
+      if (error instanceof McpError) throw error;
+      if (error instanceof NeedsClarification) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(error.toResponse(), null, 2),
+            },
+          ],
+        };
+      }
+      if (error instanceof RateLimitError) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          error.message,
+          error.toResponse()
+        );
+      }
+      if (error instanceof RequestError) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid request for ${name}: ${error.message}`,
+          error.toResponse()
+        );
+      }
       throw new McpError(
         ErrorCode.InternalError,
         `Error executing tool ${name}: ${error.message}`
       );
     }
+  };
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const apiKey = await mcpApiKey();
+    const rate = await checkRateLimit(
+      `key:${apiKey.id}`,
+      apiKey.limits.perMinute
+    );
+    if (rate && rate.limited) {
+      const err = rateLimitError("Too many requests", rate.resetAt);
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        err.message,
+        err.toResponse()
+      );
+    }
+    return requestContext.run(
+      { apiKey, source: "mcp", startedAt: Date.now() },
+      () => callTool(request)
+    );
   });
 
   // Start MCP server if running in MCP mode
@@ -1279,10 +6542,281 @@ function setupMCPServer() {
   }
 }
 
-startServer().catch((err) => {
-  console.error("Fatal error starting server:", err);
-  process.exit(1);
-});
+// ----- Golden-set evaluation -----
+// `node index.js eval <cases.json>` runs each case through
+// parsePromptToMongoQuery and compares the translation with the expected
+// filter, so a SYSTEM_PROMPT edit can be checked against prompts that used
+// to work. Cases are [{ "name"?, "prompt", "collection", "now", "expected" }]
+// where "now" fixes CurrentServerDate and "expected" is the filter, with
+// "__sort" when the ordering matters too ({ "__ambiguous": true } expects an
+// ambiguous answer). --record <file> saves the LLM's responses in the
+// LLM_MOCK_FIXTURES format and --replay <file> answers from such a file, so
+// reruns work offline; responses are matched by prompt and collection. eval
+// doesn't connect to MongoDB, so the prompts carry the baseline schema.
+const UNORDERED_OPERATORS = new Set([
+  "$in",
+  "$nin",
+  "$all",
+  "$and",
+  "$or",
+  "$nor",
+]);
+
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The form filters are compared in: $regex patterns lowercased, $options
+// flags sorted, $dateFromString reduced to the instant it denotes and the
+// arrays of $in, $and etc. sorted. Key order never matters (see filterDiff).
+function canonicalFilter(value, key = null) {
+  if (Array.isArray(value)) {
+    const items = value.map((item) => canonicalFilter(item));
+    return UNORDERED_OPERATORS.has(key)
+      ? items.sort((a, b) => stableJson(a).localeCompare(stableJson(b)))
+      : items;
+  }
+  if (!isPlainObject(value)) {
+    if (typeof value !== "string") return value;
+    if (key === "$regex") return value.toLowerCase();
+    if (key === "$options") return [...value].sort().join("");
+    return value;
+  }
+  if (isPlainObject(value.$dateFromString)) {
+    const time = Date.parse(value.$dateFromString.dateString);
+    return {
+      $date: Number.isNaN(time)
+        ? value.$dateFromString.dateString
+        : new Date(time).toISOString(),
+    };
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, canonicalFilter(v, k)])
+  );
+}
+
+// Differences between two canonical filters, one "path: ..." line each.
+function filterDiff(expected, actual, path = "") {
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].sort().flatMap((key) => {
+      const at = path ? `${path}.${key}` : key;
+      if (!(key in actual))
+        return [`${at}: missing, expected ${stableJson(expected[key])}`];
+      if (!(key in expected))
+        return [`${at}: unexpected ${stableJson(actual[key])}`];
+      return filterDiff(expected[key], actual[key], at);
+    });
+  }
+  if (
+    Array.isArray(expected) &&
+    Array.isArray(actual) &&
+    expected.length === actual.length
+  ) {
+    return expected.flatMap((item, i) =>
+      filterDiff(item, actual[i], `${path}[${i}]`)
+    );
+  }
+  return stableJson(expected) === stableJson(actual)
+    ? []
+    : [
+        `${path || "(root)"}: expected ${stableJson(expected)}, got ${stableJson(actual)}`,
+      ];
+}
+
+// Runs one case; returns { pass, parser, diffs }. Only the LLM's own
+// translation counts: a provider failure or a --replay prompt without a
+// fixture fails the case instead of falling back to the rule-based parser.
+async function evaluateCase({ prompt, collection, now, expected }) {
+  const fail = (message) => ({ pass: false, parser: null, diffs: [message] });
+  if (!COLLECTION_BY_TYPE[collection])
+    return fail("collection must be users, events or dating");
+  if (typeof prompt !== "string" || !prompt)
+    return fail("prompt must be a non-empty string");
+  if (!isPlainObject(expected)) return fail("expected must be an object");
+  if (Number.isNaN(Date.parse(now))) return fail("now must be an ISO date");
+  let parsed;
+  try {
+    parsed = await parsePromptToMongoQuery(prompt, collection, {
+      cache: "bypass",
+      now: new Date(now),
+      fallback: false,
+    });
+  } catch (err) {
+    return fail(
+      `${err.name}: ${err.message}${err.issues ? ` (${err.issues.join("; ")})` : ""}`
+    );
+  }
+  const { parser } = parsed;
+  if (parser !== "llm") {
+    return {
+      pass: false,
+      parser,
+      diffs: [`(root): translated by the ${parser} parser, not the LLM`],
+    };
+  }
+  if (expected.__ambiguous || parsed.alternatives) {
+    const pass = Boolean(expected.__ambiguous) === Boolean(parsed.alternatives);
+    const diffs = pass
+      ? []
+      : [
+          parsed.alternatives
+            ? `(root): expected a filter, got ${parsed.alternatives.length} ambiguous alternatives`
+            : `(root): expected an ambiguous answer, got ${stableJson(parsed.filter)}`,
+        ];
+    return { pass, parser, diffs };
+  }
+  const want = splitSort(expected);
+  const diffs = filterDiff(
+    canonicalFilter(want.filter),
+    canonicalFilter(parsed.filter)
+  );
+  if (want.sort != null) {
+    diffs.push(
+      ...filterDiff(
+        canonicalFilter(want.sort),
+        canonicalFilter(parsed.sort ?? {}),
+        "__sort"
+      )
+    );
+  }
+  return { pass: diffs.length === 0, parser, diffs };
+}
+
+// Wraps `provider` so every response is also pushed to `recorded` as a mock
+// fixture (the retry's answer as its retryResponse).
+function createRecordingProvider(provider, recorded) {
+  return {
+    ...provider,
+    async complete(request) {
+      const result = await provider.complete(request);
+      let fixture = recorded.find(
+        (f) => f.prompt === request.prompt && f.collection === request.type
+      );
+      if (!fixture) {
+        fixture = { prompt: request.prompt, collection: request.type };
+        recorded.push(fixture);
+      }
+      let response = result.text;
+      try {
+        response = JSON.parse(stripCodeFence(result.text));
+      } catch {
+        // keep text that isn't JSON as it is
+      }
+      fixture[request.retry ? "retryResponse" : "response"] = response;
+      return result;
+    },
+  };
+}
+
+// ----- CLI -----
+// `node index.js` starts the server (add --mcp for the MCP stdio server);
+// `node index.js integrity check [--fix]` prints the integrity report and
+// exits with 1 when unfixed issues remain; `node index.js eval <cases.json>`
+// prints the golden-set report and exits with 1 when a case fails.
+async function runIntegrityCommand(action, fix) {
+  if (action !== "check") {
+    console.error("Usage: node index.js integrity check [--fix]");
+    return 2;
+  }
+  await connectDb();
+  try {
+    const report = await checkIntegrity({ fix, maxIssues: 1000 });
+    console.log(JSON.stringify(report, null, 2));
+    const total = Object.values(report.counts).reduce((a, b) => a + b, 0);
+    return total > report.fixed ? 1 : 0;
+  } finally {
+    await client.close();
+  }
+}
+
+// The [DEBUG] logging is silenced while the cases run unless --verbose.
+async function runEvalCommand(file, { record, replay, verbose }) {
+  if (!file || (record && replay)) {
+    console.error(
+      "Usage: node index.js eval <cases.json> [--record <file> | --replay <file>] [--verbose]"
+    );
+    return 2;
+  }
+  const cases = JSON.parse(readFileSync(file, "utf8"));
+  if (!Array.isArray(cases)) {
+    console.error(`Eval cases must be a JSON array: ${file}`);
+    return 2;
+  }
+  if (replay) llm = createMockProvider({ fixtures: replay });
+  if (!llm) {
+    console.error("eval needs an LLM provider (see LLM_PROVIDER) or --replay");
+    return 2;
+  }
+  const recorded = [];
+  if (record) llm = createRecordingProvider(llm, recorded);
+  const log = console.log;
+  if (!verbose) console.log = () => {};
+  const results = [];
+  try {
+    for (const [i, testCase] of cases.entries()) {
+      results.push({
+        name: testCase.name || `#${i + 1} ${testCase.prompt}`,
+        ...(await evaluateCase(testCase)),
+      });
+    }
+  } finally {
+    console.log = log;
+  }
+  if (record) writeFileSync(record, `${JSON.stringify(recorded, null, 2)}\n`);
+  for (const result of results) {
+    console.log(
+      `${result.pass ? "PASS" : "FAIL"} ${result.name} [${result.parser ?? "error"}]`
+    );
+    for (const diff of result.diffs) console.log(`    ${diff}`);
+  }
+  const passed = results.filter((result) => result.pass).length;
+  console.log(`\n${passed}/${results.length} passed`);
+  return passed === results.length ? 0 : 1;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const optionValue = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+  };
+  const [mode, action] = args.filter(
+    (arg, i) =>
+      !arg.startsWith("--") && !["--record", "--replay"].includes(args[i - 1])
+  );
+  if (mode === "integrity") {
+    process.exit(await runIntegrityCommand(action, args.includes("--fix")));
+  }
+  if (mode === "eval") {
+    process.exit(
+      await runEvalCommand(action, {
+        record: optionValue("--record"),
+        replay: optionValue("--replay"),
+        verbose: args.includes("--verbose"),
+      })
+    );
+  }
+  await startServer();
+}
+
+// Only when run as a script; the tests import the module instead.
+if (
+  process.argv[1] &&
+  resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  main().catch((err) => {
+    console.error("Fatal error starting server:", err);
+    process.exit(1);
+  });
+}
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
@@ -1292,3 +6826,22 @@ process.on("SIGINT", async () => {
   } catch (e) {}
   process.exit(0);
 });
+
+// For the tests in test/
+export {
+  SYSTEM_PROMPT,
+  checkAnalyticsTranslation,
+  checkTranslation,
+  evaluateCase,
+  fieldsFromSample,
+  nextQueryCursor,
+  parseLimit,
+  parseWithRules,
+  prepareAnalyticsPipeline,
+  redactAnalyticsRows,
+  requestContext,
+  resolveSearchFilter,
+  resolveStructuredQuery,
+  reversePopulateOptions,
+  validateFilter,
+};
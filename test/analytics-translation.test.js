@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkAnalyticsTranslation } from "../index.js";
+
+const pipeline = [{ $group: { _id: "$Event_location", events: { $sum: 1 } } }];
+
+test("a fenced pipeline reply is accepted", () => {
+  const text =
+    "```json\n" + JSON.stringify({ collection: "events", pipeline }) + "\n```";
+  assert.deepEqual(checkAnalyticsTranslation(text), {
+    parsed: { collection: "events", pipeline },
+  });
+});
+
+test("replies that aren't a usable pipeline list their problems", () => {
+  assert.match(
+    checkAnalyticsTranslation("events per city").issues[0],
+    /Not valid JSON/
+  );
+  assert.match(
+    checkAnalyticsTranslation(JSON.stringify({ collection: "events" }))
+      .issues[0],
+    /^pipeline: /
+  );
+  assert.deepEqual(
+    checkAnalyticsTranslation(
+      JSON.stringify({ collection: "events", pipeline: [{ $out: "x" }] })
+    ).issues,
+    ['pipeline[0].$out: Stage "$out" is not allowed']
+  );
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The provider is picked when index.js loads, so point it at the fixtures
+// before importing.
+const fixtures = join(mkdtempSync(join(tmpdir(), "clarify-")), "fixtures.json");
+const march = (year) => ({
+  Event_date: {
+    $gte: { $dateFromString: { dateString: `${year}-03-01T00:00:00Z` } },
+    $lt: { $dateFromString: { dateString: `${year}-04-01T00:00:00Z` } },
+  },
+});
+writeFileSync(
+  fixtures,
+  JSON.stringify([
+    {
+      prompt: "events in march",
+      collection: "events",
+      response: {
+        __ambiguous: true,
+        alternatives: [
+          { description: "March this year", query: march(2025) },
+          { description: "March next year", query: march(2026) },
+        ],
+      },
+    },
+  ])
+);
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_MOCK_FIXTURES = fixtures;
+const { resolveSearchFilter } = await import("../index.js");
+const { asDefaultRole } = await import("./roles.js");
+
+test("an ambiguous prompt answers 409 with the alternatives to pick from", () =>
+  asDefaultRole(async () => {
+    const err = await resolveSearchFilter("events", {
+      q: "events in march",
+    }).catch((err) => err);
+    assert.equal(err.name, "NeedsClarification");
+    assert.equal(err.status, 409);
+    const body = err.toResponse();
+    assert.equal(body.status, "needs_clarification");
+    assert.deepEqual(
+      body.alternatives.map((alt) => alt.description),
+      ["March this year", "March next year"]
+    );
+    const picked = await resolveSearchFilter("events", {
+      clarification: body.clarification,
+      alternative: 1,
+    });
+    assert.deepEqual(picked.filter, march(2026));
+  }));
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The provider is picked when index.js loads, so point it at the fixtures
+// before importing.
+const fixtures = join(mkdtempSync(join(tmpdir(), "eval-")), "fixtures.json");
+writeFileSync(
+  fixtures,
+  JSON.stringify([
+    { prompt: "male users", collection: "users", response: { Gender: "Male" } },
+    {
+      prompt: "users with a password",
+      collection: "users",
+      response: { Password: { $exists: true } },
+      retryResponse: { Gender: "Male" },
+    },
+  ])
+);
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_MOCK_FIXTURES = fixtures;
+const { evaluateCase } = await import("../index.js");
+const { asRole } = await import("./roles.js");
+
+const now = "2025-09-23T00:00:00Z";
+
+test("a replayed LLM translation is compared with the expected filter", () =>
+  asRole("pii", async () => {
+    const ok = await evaluateCase({
+      prompt: "male users",
+      collection: "users",
+      now,
+      expected: { Gender: "Male" },
+    });
+    assert.deepEqual(ok, { pass: true, parser: "llm", diffs: [] });
+    const wrong = await evaluateCase({
+      prompt: "male users",
+      collection: "users",
+      now,
+      expected: { Gender: "Female" },
+    });
+    assert.equal(wrong.pass, false);
+  }));
+
+test("a prompt without a fixture fails instead of falling back to the rules", () =>
+  asRole("pii", async () => {
+    const result = await evaluateCase({
+      prompt: "female users",
+      collection: "users",
+      now,
+      expected: { Gender: "Female" },
+    });
+    assert.equal(result.pass, false);
+    assert.match(result.diffs[0], /No mock fixture for users prompt/);
+  }));
+
+test("a reply the filter validator rejects is retried", () =>
+  asRole("pii", async () => {
+    const result = await evaluateCase({
+      prompt: "users with a password",
+      collection: "users",
+      now,
+      expected: { Gender: "Male" },
+    });
+    assert.deepEqual(result, { pass: true, parser: "llm", diffs: [] });
+  }));
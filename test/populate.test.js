@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reversePopulateOptions } from "../index.js";
+
+test("populate limits are clamped to [1, 50] and must be integers", () => {
+  assert.equal(reversePopulateOptions("events").limit, 5);
+  assert.equal(reversePopulateOptions("events", { limit: 3 }).limit, 3);
+  assert.equal(reversePopulateOptions("events", { limit: 500 }).limit, 50);
+  assert.equal(reversePopulateOptions("events", { limit: 0 }).limit, 1);
+  assert.equal(reversePopulateOptions("dating", { limit: -2 }).limit, 1);
+  assert.throws(() => reversePopulateOptions("events", { limit: 1.5 }), {
+    name: "RequestError",
+    status: 400,
+    message: "populateOptions.events.limit must be an integer",
+  });
+});
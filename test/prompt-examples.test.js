@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SYSTEM_PROMPT, validateFilter } from "../index.js";
+import { asDefaultRole } from "./roles.js";
+
+// The examples assume CurrentServerDate 2025-09-23
+const now = new Date("2025-09-23T00:00:00Z");
+
+// Every top-level { ... } of the prompt that parses as JSON, with the line it
+// is on. Templates such as [<users ids>] don't parse and are skipped.
+function promptExamples() {
+  const examples = [];
+  for (const line of SYSTEM_PROMPT.split("\n")) {
+    let depth = 0;
+    let start = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === "{" && depth++ === 0) start = i;
+      if (line[i] === "}" && --depth === 0) {
+        try {
+          examples.push({ line, query: JSON.parse(line.slice(start, i + 1)) });
+        } catch {
+          // not an example
+        }
+      }
+    }
+  }
+  return examples;
+}
+
+function exampleType(line, query) {
+  const hint = /CollectionHint:? "(users|events|dating)"/.exec(line);
+  if (hint) return hint[1];
+  if ("__foreign_key_query" in query || "__relations" in query) return "users";
+  const text = JSON.stringify(query);
+  if (text.includes('"Event_')) return "events";
+  if (text.includes('"Dating_')) return "dating";
+  return "users";
+}
+
+test("every SYSTEM_PROMPT example passes validation as the default role", () =>
+  asDefaultRole(() => {
+    const examples = promptExamples().filter(
+      ({ query }) => !("$dateFromString" in query)
+    );
+    assert.ok(examples.length > 40);
+    for (const { line, query } of examples) {
+      const { __sort, ...filter } = query;
+      const type = exampleType(line, query);
+      assert.doesNotThrow(
+        () => validateFilter(filter, type, now),
+        `${type}: ${line.trim()}`
+      );
+    }
+  }));
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkTranslation } from "../index.js";
+import { asDefaultRole } from "./roles.js";
+
+const now = new Date("2025-09-23T00:00:00Z");
+const check = (reply) => checkTranslation(JSON.stringify(reply), "users", now);
+
+test("a reply the validator accepts is returned as parsed", () =>
+  asDefaultRole(() => {
+    const reply = { Gender: "Female", Salary: { $gte: 50000 }, __sort: {} };
+    assert.deepEqual(check(reply), { parsed: reply });
+  }));
+
+test("validator objections are reported as issues so they can be retried", () =>
+  asDefaultRole(() => {
+    assert.deepEqual(check({ Password: "x" }).issues, [
+      'Password: Field "Password" is not allowed on users',
+    ]);
+    assert.match(check({ Salary: 612345 }).issues[0], /^Salary: /);
+    const { issues } = check({
+      __ambiguous: true,
+      alternatives: [
+        { description: "this year", query: { Gender: "Male" } },
+        { description: "exactly", query: { $or: [{ Salary: 612345 }] } },
+      ],
+    });
+    assert.equal(issues.length, 1);
+    assert.match(issues[0], /^alternatives\.1\.query\.\$or\[0\]\.Salary: /);
+  }));
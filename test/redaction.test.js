@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  nextQueryCursor,
+  parseWithRules,
+  prepareAnalyticsPipeline,
+  redactAnalyticsRows,
+  resolveStructuredQuery,
+  validateFilter,
+} from "../index.js";
+import { asDefaultRole } from "./roles.js";
+
+test("exact and narrow salary filters are rejected", () =>
+  asDefaultRole(() => {
+    for (const filter of [
+      { Salary: 612345 },
+      { Salary: { $in: [612345] } },
+      { Salary: { $gte: 612345, $lt: 612346 } },
+      { Salary: { $gte: 600000, $lte: 625000 } },
+      { $or: [{ Salary: { $eq: 600000 } }] },
+      {
+        __foreign_key_query: "events",
+        __criteria: { Event_type: "hackathon" },
+        __user_filter: { Salary: 612345 },
+      },
+    ])
+      assert.throws(() => validateFilter(filter, "users"), {
+        message: /"Salary" is redacted/,
+      });
+  }));
+
+test("salary filters on band edges are accepted", () =>
+  asDefaultRole(() => {
+    validateFilter({ Salary: { $gte: 500000, $lt: 700000 } }, "users");
+    validateFilter({ Salary: { $exists: true } }, "users");
+  }));
+
+test("age filters from the rule parser are accepted, exact dates are not", () =>
+  asDefaultRole(() => {
+    const filter = parseWithRules("users aged 25 to 30", "users");
+    validateFilter(filter, "users");
+    assert.throws(
+      () => validateFilter({ DOB: new Date("1990-05-17") }, "users"),
+      { message: /"DOB" is redacted/ }
+    );
+  }));
+
+test("the rule parser widens salary and birth dates to whole bands and ages", () =>
+  asDefaultRole(() => {
+    const now = new Date("2025-09-23T00:00:00Z");
+    const parse = (prompt) => parseWithRules(prompt, "users", now);
+    assert.deepEqual(parse("users with salary above 60000"), {
+      Salary: { $gte: 50000 },
+    });
+    assert.deepEqual(parse("users with salary below 12 lakhs"), {
+      Salary: { $lt: 1225000 },
+    });
+    assert.deepEqual(parse("users with salary 612345"), {
+      Salary: { $gte: 600000, $lt: 625000 },
+    });
+    const born = parse("male users born in 1995");
+    assert.deepEqual(born.DOB, {
+      $lte: {
+        $dateFromString: {
+          dateString: "1996-09-23T00:00:00Z",
+          timezone: "UTC",
+        },
+      },
+      $gt: {
+        $dateFromString: {
+          dateString: "1994-09-23T00:00:00Z",
+          timezone: "UTC",
+        },
+      },
+    });
+    for (const prompt of [
+      "users with salary above 60000",
+      "users with salary between 3 lakh and 2 million",
+      "male users born in 1995",
+      "women born in december 1990",
+      "users older than 30",
+    ])
+      validateFilter(parse(prompt), "users", now);
+  }));
+
+test("analytics can't pick redacted values out of a group", () =>
+  asDefaultRole(() => {
+    for (const op of ["$max", "$min", "$first", "$last", "$addToSet"])
+      assert.throws(
+        () =>
+          prepareAnalyticsPipeline("users", [
+            { $group: { _id: "$Location", top: { [op]: "$Salary" } } },
+          ]),
+        { message: /redacted field "Salary"/ }
+      );
+    assert.throws(
+      () =>
+        prepareAnalyticsPipeline("users", [
+          { $group: { _id: { year: { $year: "$DOB" } }, users: { $sum: 1 } } },
+        ]),
+      { message: /Cannot group by redacted field "DOB"/ }
+    );
+    assert.throws(
+      () =>
+        prepareAnalyticsPipeline("users", [
+          { $group: { _id: null, years: { $sum: { $year: "$DOB" } } } },
+        ]),
+      { message: /Redacted field "DOB" can't be accumulated/ }
+    );
+    assert.throws(
+      () => prepareAnalyticsPipeline("users", [{ $match: { Salary: 612345 } }]),
+      { message: /"Salary" is redacted/ }
+    );
+  }));
+
+test("grouped averages of redacted fields are banded", () =>
+  asDefaultRole(() => {
+    const pipeline = [
+      { $group: { _id: "$Location", averageSalary: { $avg: "$Salary" } } },
+    ];
+    const { redacted } = prepareAnalyticsPipeline("users", pipeline);
+    assert.deepEqual(redacted, { averageSalary: "band" });
+    const [row] = redactAnalyticsRows(
+      { collection: "users", pipeline },
+      [{ _id: "pune", averageSalary: 612345 }],
+      redacted
+    );
+    assert.notEqual(row.averageSalary, 612345);
+    assert.equal(row._id, "pune");
+  }));
+
+test("a cursor doesn't reveal the sort position's raw values", () =>
+  asDefaultRole(() => {
+    const first = resolveStructuredQuery("users", { sort: { Salary: -1 } });
+    const cursor = nextQueryCursor("users", first, {
+      Salary: 612345,
+      _id: "abc",
+    });
+    assert.doesNotMatch(
+      Buffer.from(cursor, "base64url").toString("latin1"),
+      /612345/
+    );
+    assert.deepEqual(resolveStructuredQuery("users", { cursor }).after, {
+      Salary: 612345,
+      _id: "abc",
+    });
+    const tampered = Buffer.from(cursor, "base64url");
+    tampered[tampered.length - 1] ^= 1;
+    assert.throws(
+      () =>
+        resolveStructuredQuery("users", {
+          cursor: tampered.toString("base64url"),
+        }),
+      { message: /not issued by this server/ }
+    );
+  }));
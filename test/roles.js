@@ -0,0 +1,24 @@
+import { requestContext } from "../index.js";
+
+// Runs `fn` as an API key with the given redaction role: "default" bands
+// Salary, shows DOB as an age and drops email; "pii" sees users as stored.
+export const asRole = (role, fn) =>
+  requestContext.run(
+    {
+      apiKey: {
+        id: "test",
+        name: "test",
+        limits: {},
+        scopes: {
+          collections: ["users", "events", "dating"],
+          role,
+          write: false,
+          mcp: false,
+          admin: false,
+        },
+      },
+    },
+    fn
+  );
+
+export const asDefaultRole = (fn) => asRole("default", fn);
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWithRules } from "../index.js";
+import { asRole } from "./roles.js";
+
+// The parser's own bounds, for a caller who sees users as stored; banded
+// callers get whole bands (see redaction.test.js).
+const now = new Date("2025-09-23T00:00:00Z");
+
+test("salary amounts in lakh", () =>
+  asRole("pii", () => {
+    assert.deepEqual(
+      parseWithRules("users with salary above 5 lakh", "users", now),
+      { Salary: { $gte: 500000 } }
+    );
+    assert.deepEqual(
+      parseWithRules("users with salary below 12 lakhs", "users", now),
+      { Salary: { $lte: 1200000 } }
+    );
+  }));
+
+test("salary amounts in million", () =>
+  asRole("pii", () => {
+    assert.deepEqual(
+      parseWithRules("users with salary above 2 million", "users", now),
+      { Salary: { $gte: 2000000 } }
+    );
+  }));
+
+test("salary ranges mixing units", () =>
+  asRole("pii", () => {
+    assert.deepEqual(
+      parseWithRules("salary between 3 lakh and 2 million", "users", now),
+      { Salary: { $gte: 300000, $lte: 2000000 } }
+    );
+  }));
+
+test("a unit doesn't swallow the next word", () =>
+  asRole("pii", () => {
+    assert.deepEqual(
+      parseWithRules("users with salary above 50k in mumbai", "users", now),
+      {
+        Salary: { $gte: 50000 },
+        Location: { $regex: "mumbai", $options: "i" },
+      }
+    );
+  }));
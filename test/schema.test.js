@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fieldsFromSample, validateFilter } from "../index.js";
+import { asRole } from "./roles.js";
+
+test("sampled fields outside the allowlist are neither described nor accepted", () =>
+  asRole("pii", () => {
+    const fields = fieldsFromSample("users", [
+      { _id: 1, Name: "Asha", email: "a@example.com", password_hash: "x" },
+      { _id: 2, Name: "Ravi", ssn: "123-45-6789" },
+    ]);
+    assert.deepEqual(
+      fields.map((field) => field.name),
+      ["Name"]
+    );
+    for (const field of ["email", "password_hash", "ssn"]) {
+      assert.throws(() => validateFilter({ [field]: "x" }, "users"), {
+        name: "FilterValidationError",
+      });
+    }
+    assert.deepEqual(
+      fieldsFromSample("events", [
+        { Event_name: "Run", organizer_notes: "x" },
+      ]).map((field) => field.name),
+      ["Event_name"]
+    );
+  }));
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  nextQueryCursor,
+  parseLimit,
+  resolveStructuredQuery,
+} from "../index.js";
+import { asDefaultRole } from "./roles.js";
+
+test("users page 2 works without PII access", () =>
+  asDefaultRole(() => {
+    const first = resolveStructuredQuery("users", {
+      filter: { Gender: "female" },
+    });
+    assert.deepEqual(first.projection, { email: 0 });
+    const cursor = nextQueryCursor("users", first, { _id: "abc" });
+    const second = resolveStructuredQuery("users", { cursor });
+    assert.deepEqual(second.projection, { email: 0 });
+    assert.deepEqual(second.filter, { Gender: "female" });
+  }));
+
+test("the cursor keeps the caller's own projection", () =>
+  asDefaultRole(() => {
+    const first = resolveStructuredQuery("users", {
+      projection: { Salary: 0 },
+    });
+    assert.deepEqual(first.projection, { Salary: 0, email: 0 });
+    const cursor = nextQueryCursor("users", first, { _id: "abc" });
+    const second = resolveStructuredQuery("users", { cursor });
+    assert.deepEqual(second.requested, { Salary: 0 });
+    assert.deepEqual(second.projection, { Salary: 0, email: 0 });
+  }));
+
+test("an inclusion projection doesn't add the hidden fields", () =>
+  asDefaultRole(() => {
+    const query = resolveStructuredQuery("users", {
+      projection: { Name: 1 },
+    });
+    assert.deepEqual(query.projection, { Name: 1 });
+  }));
+
+test("email can't be projected explicitly", () =>
+  asDefaultRole(() => {
+    assert.throws(
+      () => resolveStructuredQuery("users", { projection: { email: 1 } }),
+      /Cannot project users field "email"/
+    );
+  }));
+
+test("page limits are clamped to [1, max] and must be integers", () => {
+  assert.equal(parseLimit(undefined, 100), 10);
+  assert.equal(parseLimit(null, 1000, 100), 100);
+  assert.equal(parseLimit(25, 100), 25);
+  assert.equal(parseLimit("25", 100), 25);
+  assert.equal(parseLimit(500, 100), 100);
+  assert.equal(parseLimit(0, 100), 1);
+  assert.equal(parseLimit(-5, 30), 1);
+  for (const limit of [2.5, "ten", NaN, Infinity, {}]) {
+    assert.throws(() => parseLimit(limit, 100), {
+      name: "RequestError",
+      status: 400,
+      message: "limit must be an integer",
+    });
+  }
+});